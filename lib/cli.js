@@ -0,0 +1,212 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const _ = require('lodash');
+const XError = require('xerror');
+const { formatStats } = require('./format');
+const {
+	deserializeStats,
+	mergeSnapshots,
+	snapshotToTrace,
+	parseSnapshot,
+	diffSnapshots,
+	renderDiff
+} = require('./snapshot');
+
+const USAGE = `Usage: simprof <command> [options] <file>...
+
+Commands:
+  show <file>...           Show the stats in saved profiles, combining them if several are given
+  diff <before> <after>    Show the change between two saved profiles, marking regressions
+  merge <file>...          Combine saved profiles, ie. from many hosts, into one
+  convert <file>...        Convert saved profiles to another format
+
+Options:
+  --namespace <regex>      Only include namespaces matching this regular expression
+  --block <regex>          Only include blocks matching this regular expression
+  --sort <column>          Sort rows by this column, ie. 'average' or 'p99', or by 'name' (default: sum)
+  --columns <columns>      Only include these comma-separated columns, ie. 'average,p99,count'
+  --limit <count>          Only include this many blocks of each namespace, after sorting
+  --units <units>          Show durations in us, ms or s (default: auto, or ms for csv and json)
+  --threshold <fraction>   Mark diff regressions above this change of the mean (default: 0.1)
+  --all                    Include blocks that did not run in a diff
+  --format <format>        Output format of convert: csv, markdown, json or trace
+  -o, --output <path>      Write to a file instead of stdout
+  -h, --help               Show this help
+
+A file of '-' is read from stdin.
+`;
+
+const OPTION_TYPES = {
+	namespace: 'string',
+	block: 'string',
+	sort: 'string',
+	columns: 'string',
+	limit: 'string',
+	units: 'string',
+	threshold: 'string',
+	all: 'boolean',
+	format: 'string',
+	output: 'string',
+	help: 'boolean'
+};
+
+const OPTION_ALIASES = { o: 'output', h: 'help' };
+
+const COMMANDS = {
+	show(snapshots, options) {
+		return formatStats(statsSections(mergeSnapshots(snapshots)), formatOptions(options, 'table'));
+	},
+
+	diff(snapshots, options) {
+		if (snapshots.length !== 2) throw new XError(XError.INVALID_ARGUMENT, 'diff takes exactly two files');
+		let { threshold } = options;
+		if (threshold !== undefined) {
+			threshold = Number(threshold);
+			if (Number.isNaN(threshold)) throw new XError(XError.INVALID_ARGUMENT, 'Invalid --threshold');
+		}
+		return renderDiff(diffSnapshots(snapshots[0], snapshots[1]), { threshold, all: options.all });
+	},
+
+	merge(snapshots) {
+		return `${JSON.stringify(mergeSnapshots(snapshots))}\n`;
+	},
+
+	convert(snapshots, options) {
+		const snapshot = mergeSnapshots(snapshots);
+		switch (options.format) {
+			case 'csv':
+			case 'markdown':
+			case 'json':
+				return formatStats(statsSections(snapshot), formatOptions(options, options.format));
+			case 'trace':
+				return `${JSON.stringify(snapshotToTrace(snapshot))}\n`;
+			default:
+				throw new XError(XError.INVALID_ARGUMENT, 'convert requires --format csv, markdown, json or trace');
+		}
+	}
+};
+
+/**
+ * Run the `simprof` command line tool.
+ *
+ * @param {String[]} argv - the arguments, without the node executable and script
+ * @param {Object} [streams]
+ *   @param {stream.Writable} [streams.stdout=process.stdout]
+ *   @param {stream.Writable} [streams.stderr=process.stderr]
+ * @returns {Number} - the exit code: 0 on success, 1 on errors, or 2 on usage errors
+ */
+function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+	try {
+		const { command, files, options } = parseArgs(argv);
+		if (options.help) {
+			stdout.write(USAGE);
+			return 0;
+		}
+		if (!command) throw new XError(XError.INVALID_ARGUMENT, 'No command given');
+		if (!_.has(COMMANDS, command)) throw new XError(XError.INVALID_ARGUMENT, `Unknown command: ${command}`);
+		if (!files.length) throw new XError(XError.INVALID_ARGUMENT, 'No files given');
+
+		const snapshots = files.map((path) => filterSnapshot(readSnapshot(path), options));
+		const output = COMMANDS[command](snapshots, options);
+		if (options.output) {
+			fs.writeFileSync(options.output, output);
+		} else {
+			stdout.write(output);
+		}
+		return 0;
+	} catch (err) {
+		stderr.write(`simprof: ${err.message}\n`);
+		if (err.code !== XError.INVALID_ARGUMENT) return 1;
+		stderr.write(`\n${USAGE}`);
+		return 2;
+	}
+}
+
+/**
+ * @param {String[]} argv
+ * @returns {Object} - an object with the `command`, the `files` and the `options`
+ * @throws {XError} - throws on unknown options and missing option values
+ */
+function parseArgs(argv) {
+	let options = {};
+	let positionals = [];
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--') {
+			positionals = positionals.concat(argv.slice(i + 1));
+			break;
+		}
+		const match = /^(?:--([^=]+)|-(\w))(?:=(.*))?$/.exec(arg);
+		if (!match) {
+			positionals.push(arg);
+			continue;
+		}
+
+		const name = match[1] || OPTION_ALIASES[match[2]];
+		if (!_.has(OPTION_TYPES, name)) throw new XError(XError.INVALID_ARGUMENT, `Unknown option: ${arg}`);
+		if (OPTION_TYPES[name] === 'boolean') {
+			options[name] = true;
+		} else if (match[3] !== undefined) {
+			options[name] = match[3];
+		} else if (i + 1 < argv.length) {
+			options[name] = argv[++i];
+		} else {
+			throw new XError(XError.INVALID_ARGUMENT, `Missing value for ${arg}`);
+		}
+	}
+	return { command: positionals[0], files: positionals.slice(1), options };
+}
+
+function readSnapshot(path) {
+	const json = fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+	try {
+		return parseSnapshot(json);
+	} catch (err) {
+		throw new XError(err.code, `${path}: ${err.message}`);
+	}
+}
+
+function filterSnapshot(snapshot, options) {
+	const namespaceRegex = optionRegex(options, 'namespace');
+	const blockRegex = optionRegex(options, 'block');
+	let namespaces = {};
+	_.forEach(snapshot.namespaces, (blocks, namespace) => {
+		if (namespaceRegex && !namespaceRegex.test(namespace)) return;
+		const filtered = blockRegex ? _.pickBy(blocks, (stats, name) => blockRegex.test(name)) : blocks;
+		if (!_.isEmpty(filtered)) namespaces[namespace] = filtered;
+	});
+	return _.extend({}, snapshot, { namespaces });
+}
+
+function optionRegex(options, name) {
+	if (options[name] === undefined) return null;
+	try {
+		return new RegExp(options[name]);
+	} catch (err) {
+		throw new XError(XError.INVALID_ARGUMENT, `Invalid --${name}: ${err.message}`);
+	}
+}
+
+function statsSections(snapshot) {
+	return _.keys(snapshot.namespaces).sort().map((namespace) => {
+		const rows = _.map(snapshot.namespaces[namespace], (stats, name) => {
+			return { namespace, name, stat: deserializeStats(stats) };
+		});
+		return { namespace, title: namespace, rows, events: [] };
+	});
+}
+
+function formatOptions(options, format) {
+	let limit;
+	if (options.limit !== undefined) {
+		limit = Number(options.limit);
+		if (!Number.isInteger(limit) || limit < 1) throw new XError(XError.INVALID_ARGUMENT, 'Invalid --limit');
+	}
+	const columns = options.columns && options.columns.split(',').map((column) => column.trim());
+	return { format, sortBy: options.sort, columns, limit, units: options.units };
+}
+
+module.exports = { main };
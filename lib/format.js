@@ -0,0 +1,458 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const Table = require('easy-table');
+const XError = require('xerror');
+
+/**
+ * The columns of stats tables, in order.  `name` is the table header and `key` the CSV header.  `value` gets the
+ * raw value of the column from a stats object, in ms for durations and as a fraction for rates; percentiles are
+ * null for stats without a distribution, and other counts for stats without them, such as windowed stats.
+ * Optional columns, the averages of the resources used per block and the throughput of iterations and streams,
+ * are only included when selected, except that the throughput columns are included by default when a block has
+ * recorded items.
+ */
+const STATS_COLUMNS = [
+	{ name: 'sum', key: 'sum', value: (stat) => stat.sum },
+	{ name: 'average', key: 'avg', value: (stat) => stat.avg },
+	{ name: 'std. dev.', key: 'std', value: (stat) => stat.std },
+	{ name: 'min', key: 'min', value: (stat) => stat.min },
+	{ name: 'p50', key: 'p50', value: (stat) => percentile(stat, 'p50') },
+	{ name: 'p90', key: 'p90', value: (stat) => percentile(stat, 'p90') },
+	{ name: 'p95', key: 'p95', value: (stat) => percentile(stat, 'p95') },
+	{ name: 'p99', key: 'p99', value: (stat) => percentile(stat, 'p99') },
+	{ name: 'p99.9', key: 'p999', value: (stat) => percentile(stat, 'p999') },
+	{ name: 'max', key: 'max', value: (stat) => stat.max },
+	{ name: 'range', key: 'range', value: (stat) => stat.max - stat.min },
+	{ name: 'count', key: 'count', value: (stat) => stat.count, isCount: true },
+	{ name: 'errors', key: 'errorCount', value: (stat) => countOf(stat, 'errorCount'), isCount: true },
+	{ name: 'error rate', key: 'errorRate', value: (stat) => errorRate(stat), isRate: true },
+	{ name: 'in flight', key: 'inFlight', value: (stat) => countOf(stat, 'inFlight'), isCount: true },
+	{ name: 'peak', key: 'peakConcurrency', value: (stat) => countOf(stat, 'peakConcurrency'), isCount: true },
+	{ name: 'cpu user', key: 'cpuUser', value: (stat) => resourceOf(stat, 'avgCpuUser'), isOptional: true },
+	{ name: 'cpu system', key: 'cpuSystem', value: (stat) => resourceOf(stat, 'avgCpuSystem'), isOptional: true },
+	{
+		name: 'heap',
+		key: 'heapDelta',
+		value: (stat) => resourceOf(stat, 'avgHeapDelta'),
+		isBytes: true,
+		isOptional: true
+	},
+	{ name: 'loop delay', key: 'loopDelay', value: (stat) => resourceOf(stat, 'avgLoopDelay'), isOptional: true },
+	{
+		name: 'items',
+		key: 'items',
+		value: (stat) => countOf(stat, 'items'),
+		isCount: true,
+		isOptional: true,
+		isThroughput: true
+	},
+	{
+		name: 'bytes',
+		key: 'bytes',
+		value: (stat) => countOf(stat, 'bytes'),
+		isSize: true,
+		isOptional: true,
+		isThroughput: true
+	},
+	{
+		name: 'items/s',
+		key: 'itemsPerSecond',
+		value: (stat) => countOf(stat, 'itemsPerSecond'),
+		isPerSecond: true,
+		isOptional: true,
+		isThroughput: true
+	},
+	{
+		name: 'bytes/s',
+		key: 'bytesPerSecond',
+		value: (stat) => countOf(stat, 'bytesPerSecond'),
+		isSize: true,
+		isPerSecond: true,
+		isOptional: true,
+		isThroughput: true
+	}
+];
+
+/**
+ * The columns included unless others are selected.
+ */
+const DEFAULT_COLUMNS = STATS_COLUMNS.filter((column) => !column.isOptional);
+
+/**
+ * The columns added to the default columns for stats with recorded items.
+ */
+const THROUGHPUT_COLUMNS = STATS_COLUMNS.filter((column) => column.isThroughput);
+
+/**
+ * The marker appended to the names of sampled stats, whose counts and sums are estimates.
+ */
+const SAMPLED_MARKER = ' (sampled)';
+
+/**
+ * Format a duration in milliseconds for display, keeping sub-millisecond precision for short durations.
+ *
+ * @param {Number} value - duration in milliseconds
+ * @returns {String}
+ */
+function displayDuration(value) {
+	if (value === null || value === undefined || Number.isNaN(value)) return '';
+	if (!Number.isFinite(value)) return `${value}`;
+
+	if (value < 1) return `${Math.round(value * 1000)}µs`;
+	if (value < 10) return `${value.toFixed(2)}ms`;
+	if (value < 100) return `${value.toFixed(1)}ms`;
+	if (value < 1000) return `${Math.round(value)}ms`;
+	if (value < 60000) {
+		let secs = value / 1000;
+		return `${secs.toFixed(2)}s`;
+	}
+
+	let mins = Math.floor(value / 60000);
+	let secs = Math.floor((value - mins * 60000) / 1000);
+	if (secs < 10) secs = `0${secs}`;
+
+	return `${mins}:${secs}`;
+}
+
+/**
+ * Format a fraction as a percentage for display.
+ *
+ * @param {Number} value
+ * @returns {String}
+ */
+function displayRate(value) {
+	if (!Number.isFinite(value)) return '';
+	return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a number of bytes for display, with a sign.
+ *
+ * @param {Number} value
+ * @returns {String}
+ */
+function displayBytes(value) {
+	if (!Number.isFinite(value)) return '';
+	return `${value < 0 ? '-' : '+'}${displaySize(Math.abs(value))}`;
+}
+
+/**
+ * Format a size in bytes for display.
+ *
+ * @param {Number} value
+ * @returns {String}
+ */
+function displaySize(value) {
+	if (!Number.isFinite(value)) return '';
+	if (value < 1024) return `${Math.round(value)}B`;
+	if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)}KB`;
+	if (value < 1024 * 1024 * 1024) return `${(value / 1024 / 1024).toFixed(1)}MB`;
+	return `${(value / 1024 / 1024 / 1024).toFixed(2)}GB`;
+}
+
+/**
+ * The duration units that stats can be rendered in, with the length of each in ms and its display suffix.  'auto'
+ * picks a readable unit for each duration in text output, and is ms in CSV and JSON.
+ */
+const UNITS = {
+	auto: { scale: 1, suffix: null },
+	us: { scale: 0.001, suffix: 'µs' },
+	ms: { scale: 1, suffix: 'ms' },
+	s: { scale: 1000, suffix: 's' }
+};
+
+/**
+ * Get the columns with the given names or keys, in the given order.
+ *
+ * @param {String[]} [columns] - names or keys of columns, ie. 'average' or 'p99'; defaults to all columns that
+ *   are not optional
+ * @returns {Object[]} - column definitions from `STATS_COLUMNS`
+ * @throws {XError} - throws if a column is not recognized
+ */
+function resolveColumns(columns) {
+	if (!columns) return DEFAULT_COLUMNS;
+	return _.castArray(columns).map(findColumn);
+}
+
+/**
+ * Sort stats rows by a column, in descending order, or by name in ascending order.
+ *
+ * @param {Object[]} rows - objects with the `name` and `stat` of each row
+ * @param {String} [sortBy='sum'] - 'name', or the name or key of a column, ie. 'average' or 'p99'
+ * @returns {Object[]} - a sorted copy of `rows`
+ * @throws {XError} - throws if the column is not recognized
+ */
+function sortStatsRows(rows, sortBy = 'sum') {
+	if (sortBy === 'name') return _.sortBy(rows, 'name');
+	const column = findColumn(sortBy);
+	return _.orderBy(rows, (row) => {
+		const value = column.value(row.stat);
+		return Number.isFinite(value) ? value : -Infinity;
+	}, 'desc');
+}
+
+/**
+ * Filter, sort and limit stats rows.
+ *
+ * @param {Object[]} rows - objects with the `name` and `stat` of each row
+ * @param {Object} [options]
+ *   @param {Function|RegExp} [options.filter] - only include rows for which this returns true when called with the
+ *     row, or whose name matches this expression
+ *   @param {Number} [options.minCount] - only include rows with at least this count
+ *   @param {Number} [options.minSum] - only include rows with at least this total duration, in ms
+ *   @param {String} [options.sortBy='sum'] - as for `sortStatsRows()`
+ *   @param {Number} [options.limit] - only include this many rows, after sorting
+ * @returns {Object[]}
+ */
+function selectStatsRows(rows, { filter, minCount, minSum, sortBy, limit } = {}) {
+	rows = rows.filter((row) => {
+		if (minCount && !(row.stat.count >= minCount)) return false;
+		if (minSum && !(row.stat.sum >= minSum)) return false;
+		if (_.isRegExp(filter)) return filter.test(row.name);
+		return filter ? !!filter(row) : true;
+	});
+	rows = sortStatsRows(rows, sortBy);
+	return limit ? rows.slice(0, limit) : rows;
+}
+
+/**
+ * Render stats rows as a plain text table.
+ *
+ * @param {Object[]} rows - objects with the `name` and `stat` of each row
+ * @param {Object} [options]
+ *   @param {Object[]} [options.columns=DEFAULT_COLUMNS] - the columns to include
+ *   @param {String} [options.units='auto'] - the unit of durations: 'auto', 'us', 'ms' or 's'
+ * @returns {String}
+ */
+function renderStatsTable(rows, { columns = DEFAULT_COLUMNS, units = 'auto' } = {}) {
+	let table = new Table();
+	for (let { name, stat } of rows) {
+		table.cell('name', rowName(name, stat));
+		for (let column of columns) {
+			table.cell(column.name, column.value(stat), columnPrinter(column, units));
+		}
+		table.newRow();
+	}
+	return `${table}`;
+}
+
+/**
+ * Render stats rows as CSV, with durations in ms unless other units are given.
+ *
+ * @param {Object[]} rows - objects with the `namespace`, `name` and `stat` of each row
+ * @param {Object} [options] - `columns` and `units` as for `renderStatsTable()`
+ * @returns {String}
+ */
+function renderStatsCsv(rows, { columns = DEFAULT_COLUMNS, units = 'auto' } = {}) {
+	let lines = [ [ 'namespace', 'name' ].concat(_.map(columns, 'key'), 'sampled').join(',') ];
+	for (let { namespace, name, stat } of rows) {
+		const values = columns.map((column) => {
+			const value = columnValue(column, stat, units);
+			return value === null ? '' : value;
+		});
+		lines.push([ csvField(namespace), csvField(name) ].concat(values, !!stat.sampled).join(','));
+	}
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render stats rows as a Markdown table.
+ *
+ * @param {Object[]} rows - objects with the `name` and `stat` of each row
+ * @param {Object} [options] - `columns` and `units` as for `renderStatsTable()`
+ * @returns {String}
+ */
+function renderStatsMarkdown(rows, { columns = DEFAULT_COLUMNS, units = 'auto' } = {}) {
+	const headers = [ 'name' ].concat(_.map(columns, 'name'));
+	let lines = [
+		`| ${headers.join(' | ')} |`,
+		`| --- |${_.repeat(' ---: |', columns.length)}`
+	];
+	for (let { name, stat } of rows) {
+		const cells = columns.map((column) => {
+			const value = column.value(stat);
+			if (column.isCount) return Number.isFinite(value) ? `${Math.round(value)}` : '';
+			return columnPrinter(column, units)(value);
+		});
+		lines.push(`| ${[ rowName(name, stat).replace(/\|/g, '\\|') ].concat(cells).join(' | ')} |`);
+	}
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formatters for `formatStats()`, by name.  A formatter is called with the sections of a dump and the options of
+ * the dump, and returns the output.  Each section has the `namespace`, the `title`, the selected `rows` (objects
+ * with the `namespace`, `name` and `stat` of each row), and the recent `events` of a profiler, as returned by
+ * `Profiler#getEvents()`.  The options have
+ * `columns` resolved to column definitions from `STATS_COLUMNS`, and `units` set.
+ */
+const FORMATTERS = {
+	table(sections, options) {
+		let output = '';
+		for (let { title, rows, events, callTree } of sections) {
+			const tableOutput = _.isString(callTree) ? callTree : renderStatsTable(rows, options);
+			output += `\n================================\n${title}:\n\n`;
+			if (tableOutput) output += `${tableOutput}\n`;
+			if (!_.isEmpty(events)) {
+				const lines = events.map((event) => displayEvent(event, options.units));
+				output += `recent events:\n${lines.join('\n')}\n`;
+			}
+		}
+		return output;
+	},
+
+	csv(sections, options) {
+		return renderStatsCsv(_.flatMap(sections, 'rows'), options);
+	},
+
+	markdown(sections, options) {
+		return sections.map(({ title, rows }) => `## ${title}\n\n${renderStatsMarkdown(rows, options)}`).join('\n');
+	},
+
+	json(sections, { columns, units }) {
+		const namespaces = sections.map(({ namespace, title, rows }) => {
+			const blocks = rows.map(({ name, stat }) => {
+				let block = { name };
+				for (let column of columns) block[column.key] = columnValue(column, stat, units);
+				if (stat.sampled) block.sampled = true;
+				return block;
+			});
+			return { namespace, title, blocks };
+		});
+		return `${JSON.stringify({ namespaces }, null, 2)}\n`;
+	}
+};
+
+/**
+ * Describe an event of a profiler's history on one line, ie. `end 'foo' (12ms)`.
+ *
+ * @param {Object} event - an event as returned by `Profiler#getEvents()`
+ * @param {String} [units='auto']
+ * @returns {String}
+ */
+function displayEvent(event, units = 'auto') {
+	let line = `${event.type} '${event.name}'`;
+	if (event.type === 'begin') return line;
+	line += ` (${durationDisplay(units)(event.duration)})`;
+	return event.outcome === 'error' ? `${line} failed` : line;
+}
+
+/**
+ * Add a formatter for `formatStats()`, or replace one.
+ *
+ * @param {String} name - the name to select the formatter with, as the `format` option
+ * @param {Function} formatter - called with the sections and options of a dump, as described for `FORMATTERS`
+ */
+function registerFormatter(name, formatter) {
+	if (typeof formatter !== 'function') {
+		throw new XError(XError.INVALID_ARGUMENT, `The ${name} formatter must be a function`);
+	}
+	FORMATTERS[name] = formatter;
+}
+
+/**
+ * Render the sections of a stats dump with a formatter.  The rows of each section are filtered, sorted and limited
+ * first.
+ *
+ * @param {Object[]} sections - objects with the `namespace`, `title`, `rows` and `events` of each section
+ * @param {Object} [options] - the options of `selectStatsRows()`, plus:
+ *   @param {String} [options.format='table'] - 'table', 'csv', 'markdown', 'json' or a registered format
+ *   @param {String[]} [options.columns] - the names or keys of the columns to include; defaults to
+ *     `DEFAULT_COLUMNS`, plus `THROUGHPUT_COLUMNS` if a selected row has recorded items
+ *   @param {String} [options.units='auto'] - the unit of durations: 'auto', 'us', 'ms' or 's'
+ * @returns {String}
+ * @throws {XError} - throws if the format, a column or the units are not recognized
+ */
+function formatStats(sections, options = {}) {
+	const { format = 'table', units = 'auto' } = options;
+	if (!_.has(FORMATTERS, format)) throw new XError(XError.INVALID_ARGUMENT, `Unrecognized stats format: ${format}`);
+	if (!_.has(UNITS, units)) throw new XError(XError.INVALID_ARGUMENT, `Unrecognized duration units: ${units}`);
+	let columns = resolveColumns(options.columns);
+	sections = sections.map((section) => {
+		return _.extend({}, section, { rows: section.rows ? selectStatsRows(section.rows, options) : [] });
+	});
+	const hasItems = _.some(sections, ({ rows }) => _.some(rows, ({ stat }) => _.isNumber(stat.items)));
+	if (!options.columns && hasItems) columns = DEFAULT_COLUMNS.concat(THROUGHPUT_COLUMNS);
+	return FORMATTERS[format](sections, _.extend({}, options, { format, columns, units }));
+}
+
+function rowName(name, stat) {
+	return stat.sampled ? `${name}${SAMPLED_MARKER}` : `${name}`;
+}
+
+function findColumn(nameOrKey) {
+	const column = _.find(STATS_COLUMNS, (column) => column.name === nameOrKey || column.key === nameOrKey);
+	if (!column) throw new XError(XError.INVALID_ARGUMENT, `Unrecognized stats column: ${nameOrKey}`);
+	return column;
+}
+
+function columnPrinter(column, units) {
+	if (column.isPerSecond) {
+		const display = column.isSize ? displaySize : (value) => `${_.round(value, 1)}`;
+		return (value) => (Number.isFinite(value) ? `${display(value)}/s` : '');
+	}
+	if (column.isCount) return Table.number(0);
+	if (column.isBytes) return displayBytes;
+	if (column.isSize) return displaySize;
+	return column.isRate ? displayRate : durationDisplay(units);
+}
+
+function durationDisplay(units) {
+	const { scale, suffix } = UNITS[units];
+	if (!suffix) return displayDuration;
+	return (value) => (Number.isFinite(value) ? `${_.round(value / scale, 3)}${suffix}` : '');
+}
+
+// The raw value of a column for CSV and JSON, with durations in the given units
+function columnValue(column, stat, units) {
+	const value = column.value(stat);
+	if (!Number.isFinite(value)) return null;
+	const isDuration = !(column.isCount || column.isRate || column.isBytes || column.isSize || column.isPerSecond);
+	return isDuration ? value / UNITS[units].scale : value;
+}
+
+function countOf(stat, key) {
+	return _.isNumber(stat[key]) ? stat[key] : null;
+}
+
+function resourceOf(stat, key) {
+	const value = stat.resources ? stat.resources[key] : null;
+	return _.isNumber(value) ? value : null;
+}
+
+function errorRate(stat) {
+	return (_.isNumber(stat.errorCount) && stat.count) ? stat.errorCount / stat.count : null;
+}
+
+function percentile(stat, key) {
+	return (stat.histogram && stat.histogram.count) ? stat[key] : null;
+}
+
+function csvField(value) {
+	value = (value === null || value === undefined) ? '' : `${value}`;
+	return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+module.exports = {
+	STATS_COLUMNS,
+	DEFAULT_COLUMNS,
+	THROUGHPUT_COLUMNS,
+	SAMPLED_MARKER,
+	UNITS,
+	displayDuration,
+	displayRate,
+	displayBytes,
+	displaySize,
+	displayEvent,
+	resolveColumns,
+	sortStatsRows,
+	selectStatsRows,
+	renderStatsTable,
+	renderStatsCsv,
+	renderStatsMarkdown,
+	registerFormatter,
+	formatStats
+};
@@ -0,0 +1,210 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const _ = require('lodash');
+
+/**
+ * Percentiles exposed on stats objects, keyed by the stats property name.
+ */
+const PERCENTILES = {
+	p50: 50,
+	p90: 90,
+	p95: 95,
+	p99: 99,
+	p999: 99.9
+};
+
+/**
+ * A bounded-memory, log-bucketed histogram used to estimate percentiles of block durations.
+ *
+ * Bucket `i` holds values in `(minValue * base^(i-1), minValue * base^i]`, so every estimate is within
+ * a fixed relative error of the recorded value regardless of magnitude.  Values at or below `minValue`
+ * fall in bucket 0 and values above `maxValue` are clamped into the top bucket, which bounds the number
+ * of buckets.  Only non-empty buckets are stored.
+ *
+ * @constructor
+ * @static
+ * @param {Object} [options]
+ *   @param {Number} [options.base=1.02] - the growth factor between bucket boundaries
+ *   @param {Number} [options.minValue=0.001] - the smallest distinguishable value (1µs when in ms)
+ *   @param {Number} [options.maxValue=86400000] - the largest distinguishable value (1 day when in ms)
+ */
+class Histogram {
+	constructor({ base = 1.02, minValue = 0.001, maxValue = 86400000 } = {}) {
+		this.base = base;
+		this.minValue = minValue;
+		this.maxValue = maxValue;
+		this.logBase = Math.log(base);
+		this.maxIndex = Math.ceil(Math.log(maxValue / minValue) / this.logBase);
+		this.counts = {};
+		this.count = 0;
+		this.min = Infinity;
+		this.max = -Infinity;
+	}
+
+	/**
+	 * Get the bucket index for a value
+	 *
+	 * @method indexOf
+	 * @private
+	 * @param {Number} value
+	 * @returns {Number}
+	 */
+	indexOf(value) {
+		if (!(value > this.minValue)) return 0;
+		const index = Math.ceil(Math.log(value / this.minValue) / this.logBase);
+		return Math.min(index, this.maxIndex);
+	}
+
+	/**
+	 * Get the upper boundary of a bucket
+	 *
+	 * @method upperBound
+	 * @private
+	 * @param {Number} index
+	 * @returns {Number}
+	 */
+	upperBound(index) {
+		return this.minValue * Math.pow(this.base, index);
+	}
+
+	/**
+	 * Record a value
+	 *
+	 * @method record
+	 * @param {Number} value
+	 * @param {Number} [count=1] - the number of times to record the value
+	 * @returns {Histogram} - returns `this`
+	 */
+	record(value, count = 1) {
+		const index = this.indexOf(value);
+		this.counts[index] = (this.counts[index] || 0) + count;
+		this.count += count;
+		if (value < this.min) this.min = value;
+		if (value > this.max) this.max = value;
+		return this;
+	}
+
+	/**
+	 * Estimate the value at a given percentile
+	 *
+	 * @method percentile
+	 * @param {Number} p - the percentile, from 0 to 100
+	 * @returns {Number} - the estimated value, or NaN if nothing has been recorded
+	 */
+	percentile(p) {
+		if (!this.count) return NaN;
+		const target = Math.max(1, Math.ceil(p / 100 * this.count));
+		let seen = 0;
+		for (let index of this.indexes()) {
+			seen += this.counts[index];
+			if (seen >= target) return _.clamp(this.upperBound(index), this.min, this.max);
+		}
+		return this.max;
+	}
+
+	/**
+	 * Get the indexes of all non-empty buckets in ascending order
+	 *
+	 * @method indexes
+	 * @private
+	 * @returns {Number[]}
+	 */
+	indexes() {
+		return _.keys(this.counts).map(Number).sort((a, b) => a - b);
+	}
+
+	/**
+	 * Add the contents of another histogram with the same bucket layout to this one
+	 *
+	 * @method merge
+	 * @param {Histogram|Object} other - a Histogram or its JSON representation
+	 * @returns {Histogram} - returns `this`
+	 * @throws {XError} - throws if the bucket layouts differ
+	 */
+	merge(other) {
+		if (other.base !== this.base || other.minValue !== this.minValue) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Cannot merge histograms with different bucket layouts');
+		}
+		_.forEach(other.counts, (count, index) => {
+			this.counts[index] = (this.counts[index] || 0) + count;
+		});
+		this.count += other.count;
+		// JSON has no Infinity, so empty histograms serialize min and max as null
+		if (_.isNumber(other.min) && other.min < this.min) this.min = other.min;
+		if (_.isNumber(other.max) && other.max > this.max) this.max = other.max;
+		return this;
+	}
+
+	/**
+	 * Get a serializable representation of the histogram
+	 *
+	 * @method toJSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		const { base, minValue, maxValue, count } = this;
+		return {
+			base,
+			minValue,
+			maxValue,
+			counts: _.clone(this.counts),
+			count,
+			min: count ? this.min : null,
+			max: count ? this.max : null
+		};
+	}
+
+	/**
+	 * Recreate a histogram from its JSON representation
+	 *
+	 * @method fromJSON
+	 * @static
+	 * @param {Object} json
+	 * @returns {Histogram}
+	 */
+	static fromJSON(json) {
+		const { base, minValue, maxValue } = json;
+		return new Histogram({ base, minValue, maxValue }).merge(json);
+	}
+
+	/**
+	 * Render the distribution as ASCII bars, one line per group of adjacent buckets.
+	 *
+	 * @method toAscii
+	 * @param {Object} [options]
+	 *   @param {Number} [options.rows=20] - the maximum number of lines
+	 *   @param {Number} [options.width=40] - the width of the longest bar
+	 *   @param {Function} [options.format=String] - used to format bucket boundaries
+	 * @returns {String}
+	 */
+	toAscii({ rows = 20, width = 40, format = String } = {}) {
+		if (!this.count) return '';
+		const indexes = this.indexes();
+		const first = indexes[0];
+		const last = indexes[indexes.length - 1];
+		const groupSize = Math.ceil((last - first + 1) / rows);
+
+		let groups = [];
+		for (let start = first; start <= last; start += groupSize) {
+			let count = 0;
+			for (let index = start; index < start + groupSize; index++) count += this.counts[index] || 0;
+			const low = start === 0 ? 0 : this.upperBound(start - 1);
+			const high = Math.min(this.upperBound(start + groupSize - 1), this.max);
+			groups.push({ label: `${format(Math.max(low, this.min))} - ${format(high)}`, count });
+		}
+
+		const labelWidth = _.max(groups.map((group) => group.label.length));
+		const maxCount = _.max(groups.map((group) => group.count));
+		return groups.map(({ label, count }) => {
+			const bar = _.repeat('#', Math.round(count / maxCount * width));
+			return `${_.padStart(label, labelWidth)} | ${_.padEnd(bar, width)} ${count}`;
+		}).join('\n') + '\n';
+	}
+}
+
+Histogram.PERCENTILES = PERCENTILES;
+
+module.exports = Histogram;
@@ -0,0 +1,132 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * The original property descriptors of instrumented objects, keyed by object and then by property name.
+ */
+const originals = new WeakMap();
+
+/**
+ * Wrap the methods of a class or object with a profiler.
+ *
+ * Given a class, its prototype methods are named `Class#method` and its static methods `Class.method`.  Given a
+ * prototype, its methods are named `Class#method`.  Given any other object, its methods are named `name.method`
+ * if a `name` is given, or just `method`.  Only own properties are instrumented, so subclasses must be
+ * instrumented separately.  Methods that are already instrumented are left alone.
+ *
+ * @param {Profiler} profiler
+ * @param {Function|Object} target - a class, a prototype or a plain object
+ * @param {Object} [options]
+ *   @param {String|RegExp|Array} [options.include] - only instrument methods with these names, or matching these
+ *     regular expressions
+ *   @param {String|RegExp|Array} [options.exclude] - do not instrument methods with these names, or matching
+ *     these regular expressions
+ *   @param {Boolean} [options.getters=false] - also instrument getters
+ *   @param {String} [options.name] - the prefix of block names; defaults to the class name
+ *   @param {Number|Object} [options.blockOptions] - options passed to `Profiler#wrap()` for each method
+ * @returns {Function|Object} - returns `target`
+ */
+function instrument(profiler, target, options = {}) {
+	if (typeof target === 'function') {
+		const name = options.name || target.name;
+		instrumentObject(profiler, target.prototype, `${name}#`, options);
+		instrumentObject(profiler, target, `${name}.`, options);
+	} else if (isPrototype(target)) {
+		instrumentObject(profiler, target, `${options.name || target.constructor.name}#`, options);
+	} else {
+		instrumentObject(profiler, target, options.name ? `${options.name}.` : '', options);
+	}
+	return target;
+}
+
+/**
+ * Restore the methods of a class or object instrumented with `instrument()`.
+ *
+ * @param {Function|Object} target - a class, a prototype or a plain object
+ * @returns {Function|Object} - returns `target`
+ */
+function uninstrument(target) {
+	let objects = [ target ];
+	if (typeof target === 'function') objects.push(target.prototype);
+	for (let object of objects) {
+		const descriptors = originals.get(object);
+		if (!descriptors) continue;
+		for (let [ key, descriptor ] of descriptors) Object.defineProperty(object, key, descriptor);
+		originals.delete(object);
+	}
+	return target;
+}
+
+/**
+ * Create a method decorator that wraps the method with a profiler.  Supports both legacy decorators
+ * (`(target, key, descriptor)`, as in TypeScript and Babel) and standard decorators (`(method, context)`).
+ *
+ * @param {Profiler} profiler
+ * @param {String} [name] - the block name; defaults to `Class#method` or `Class.method` for legacy decorators, or
+ *   `#method` or `.method` for standard decorators, which do not know the class
+ * @param {Number|Object} [blockOptions] - options passed to `Profiler#wrap()`
+ * @returns {Function}
+ */
+function profiled(profiler, name, blockOptions) {
+	return (target, key, descriptor) => {
+		if (typeof target === 'function' && key && typeof key === 'object') {
+			const context = key;
+			const blockName = name || `${context.static ? '.' : '#'}${String(context.name)}`;
+			return profiler.wrap(target, blockName, blockOptions);
+		}
+
+		const className = (typeof target === 'function') ? target.name : target.constructor.name;
+		const blockName = name || `${className}${typeof target === 'function' ? '.' : '#'}${String(key)}`;
+		return _.extend({}, descriptor, { value: profiler.wrap(descriptor.value, blockName, blockOptions) });
+	};
+}
+
+function instrumentObject(profiler, object, prefix, { include, exclude, getters = false, blockOptions }) {
+	if (!object) return;
+	let descriptors = originals.get(object);
+	if (!descriptors) {
+		descriptors = new Map();
+		originals.set(object, descriptors);
+	}
+
+	for (let key of Object.getOwnPropertyNames(object)) {
+		if (key === 'constructor' || descriptors.has(key)) continue;
+		if (include !== undefined && !matches(include, key)) continue;
+		if (exclude !== undefined && matches(exclude, key)) continue;
+
+		const descriptor = Object.getOwnPropertyDescriptor(object, key);
+		if (!descriptor.configurable) continue;
+
+		let instrumented;
+		if (typeof descriptor.value === 'function' && !isClass(descriptor.value)) {
+			instrumented = { value: profiler.wrap(descriptor.value, `${prefix}${key}`, blockOptions) };
+		} else if (getters && descriptor.get) {
+			instrumented = { get: profiler.wrap(descriptor.get, `${prefix}${key}`, blockOptions) };
+		} else {
+			continue;
+		}
+
+		descriptors.set(key, descriptor);
+		Object.defineProperty(object, key, _.extend({}, descriptor, instrumented));
+	}
+}
+
+function matches(patterns, key) {
+	return _.castArray(patterns).some((pattern) => {
+		return (pattern instanceof RegExp) ? pattern.test(key) : pattern === key;
+	});
+}
+
+function isPrototype(object) {
+	const { constructor } = object;
+	return typeof constructor === 'function' && constructor !== Object && constructor.prototype === object;
+}
+
+function isClass(fn) {
+	return /^class\b/.test(Function.prototype.toString.call(fn));
+}
+
+module.exports = { instrument, uninstrument, profiled };
@@ -0,0 +1,82 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * Selects namespaces by patterns in the style of the `debug` package: a list of names separated by commas or
+ * spaces, where `*` matches any characters and a leading `-` excludes the matching namespaces, ie.
+ * `'db:*,-db:cache'`.  A namespace matches if it matches an included pattern and no excluded one.
+ *
+ * @constructor
+ * @static
+ * @param {String} [patterns='']
+ */
+class NamespaceFilter {
+	constructor(patterns = '') {
+		this.includes = [];
+		this.excludes = [];
+		this.results = new Map();
+		this.include(patterns);
+	}
+
+	/**
+	 * Add patterns.  Patterns with a leading `-` are excluded.
+	 *
+	 * @method include
+	 * @param {String} patterns
+	 * @returns {NamespaceFilter} - returns `this`
+	 */
+	include(patterns) {
+		for (let pattern of splitPatterns(patterns)) {
+			if (pattern[0] === '-') {
+				this.excludes.push(patternRegExp(pattern.slice(1)));
+			} else {
+				this.includes.push(patternRegExp(pattern));
+			}
+		}
+		this.results.clear();
+		return this;
+	}
+
+	/**
+	 * Exclude the namespaces matching patterns.  A leading `-` on a pattern is ignored.
+	 *
+	 * @method exclude
+	 * @param {String} patterns
+	 * @returns {NamespaceFilter} - returns `this`
+	 */
+	exclude(patterns) {
+		for (let pattern of splitPatterns(patterns)) this.excludes.push(patternRegExp(pattern.replace(/^-/, '')));
+		this.results.clear();
+		return this;
+	}
+
+	/**
+	 * Check whether a namespace matches the patterns.  Results are cached until the patterns change.
+	 *
+	 * @method matches
+	 * @param {String} namespace
+	 * @returns {Boolean}
+	 */
+	matches(namespace) {
+		let result = this.results.get(namespace);
+		if (result === undefined) {
+			result = _.some(this.includes, (regExp) => regExp.test(namespace)) &&
+				!_.some(this.excludes, (regExp) => regExp.test(namespace));
+			this.results.set(namespace, result);
+		}
+		return result;
+	}
+}
+
+function splitPatterns(patterns) {
+	return `${patterns}`.split(/[\s,]+/).filter(Boolean);
+}
+
+function patternRegExp(pattern) {
+	return new RegExp(`^${pattern.split('*').map(_.escapeRegExp).join('.*')}$`);
+}
+
+module.exports = NamespaceFilter;
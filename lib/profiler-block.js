@@ -5,56 +5,135 @@
 const XError = require('xerror');
 const _ = require('lodash');
 const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const { initStats, recordDuration, recordOutcome, recordResources } = require('./stats');
+const WarningPolicy = require('./warning-policy');
+
+const DEFAULT_WARNING_POLICY = new WarningPolicy();
 
 /**
  * A utility used by Profiler to represent a single execution of a code path under test
  *
+ * Durations are measured in fractional milliseconds using a monotonic clock (`startTime` and `endTime`),
+ * so they are unaffected by wall-clock adjustments.  `startedOn` and `endedOn` record the wall-clock
+ * times as Dates for display purposes only.
+ *
  * @constructor
  * @static
  * @param {Number} id - a numeric ID used by Profiler to uniquely identify the block
  * @param {String} name - the name used by Profiler to represent the code path under test
  * @param {Object} options
- *   @param {Number} warnThreshold - the duration in ms above which to emit a warning
+ *   @param {Number} warnThreshold - the duration in ms above which to emit a warning, overriding the threshold
+ *     of the warning policy
  *   @param {Object} stats - the stats object to be updated on #end
+ *   @param {String} [namespace] - the namespace of the Profiler that owns the block
+ *   @param {ProfilerBlock} [parent] - the block that was active when this block began
+ *   @param {Object} [pathStats] - the stats object for this block's call path, updated on #end
+ *   @param {Object} [tags] - labels for this execution, ie. `{ method: 'GET' }`
+ *   @param {Object} [tagStats] - the stats object for this block's tag combination, updated on #end
+ *   @param {Number} [sampleRate=1] - the fraction of executions of the code path that are profiled; stats are
+ *     updated as if this block stood for `1 / sampleRate` executions
+ *   @param {WarningPolicy} [warningPolicy] - decides whether to warn that the block was slow
+ *   @param {String} [stack] - the call stack the block was begun from, for leak reports
+ *   @param {ResourceMonitor} [resourceMonitor] - measures the resources used by the block, which are kept as
+ *     `resources` and added to the stats on #end
+ *   @param {Boolean} [disabled=false] - whether the block stands for executions that are not profiled, so that
+ *     ending it does nothing
  */
 class ProfilerBlock extends EventEmitter {
-	constructor(id, name, { warnThreshold, stats }) {
+	constructor(id, name, options) {
+		const { warnThreshold, stats, namespace, parent = null, pathStats = null, tags, tagStats } = options;
+		const { sampleRate = 1, warningPolicy = DEFAULT_WARNING_POLICY, stack = null } = options;
+		const { resourceMonitor = null, disabled = false } = options;
 		super();
 
 		if (!_.isObject(stats)) {
 			throw new XError(XError.INTERNAL_ERROR, 'ProfilerBlock called w/o `stats` object');
 		}
 
-		_.defaults(stats, {
-			count: 0,
-			sum: 0,
-			sumSq: 0,
-			avg: 0,
-			std: 0,
-			min: Infinity,
-			max: -Infinity
-		});
+		initStats(stats);
+		if (tagStats) initStats(tagStats);
 
-		_.extend(this, { id, name, stats, warnThreshold, startedOn: new Date() });
+		_.extend(this, {
+			id,
+			name,
+			namespace,
+			parent,
+			stats,
+			pathStats,
+			tags: tags || {},
+			tagStats: tagStats || null,
+			warnThreshold,
+			sampleRate,
+			warningPolicy,
+			stack,
+			leaked: false,
+			outcome: null,
+			error: null,
+			childDuration: 0,
+			resourceMonitor,
+			disabled,
+			resourcesAtStart: resourceMonitor ? resourceMonitor.sample() : null,
+			resources: null,
+			startedOn: new Date(),
+			startTime: performance.now()
+		});
 	}
 
 	/**
-	 * End the current run of the code path under test and update stats
+	 * End the current run of the code path under test and update stats.  The run's `outcome` is 'error' if it
+	 * failed and 'success' otherwise; its duration is also recorded in the stats of that outcome.  Ending a
+	 * disabled block does nothing.
+	 *
+	 * Only an Error, an object with a `code` or `message`, or the string 'error' mark the run as failed, so that
+	 * the block can be ended with the value of a resolved promise, ie. `promise.then(block.end.bind(block))`.
 	 *
 	 * @method end
+	 * @param {Error|String} [outcome] - the error the run failed with, which is kept as `error`, or the outcome
+	 *   'success' or 'error'
+	 * @returns {Object} - returns the updated stats object
+	 */
+	end(outcome) {
+		const error = isErrorLike(outcome) ? outcome : null;
+		return this.finish((error || outcome === 'error') ? 'error' : 'success', error);
+	}
+
+	/**
+	 * End the current run as failed with whatever value it threw or was rejected with, which is kept as `error`.
+	 *
+	 * @method fail
+	 * @param {Mixed} [error]
+	 * @returns {Object} - returns the updated stats object
+	 */
+	fail(error) {
+		return this.finish('error', _.isNil(error) ? null : error);
+	}
+
+	/**
+	 * End the current run with an outcome and update stats
+	 *
+	 * @method finish
+	 * @private
+	 * @param {String} outcome - 'success' or 'error'
+	 * @param {Mixed} error - the error the run failed with, or null
 	 * @returns {Object} - returns the updated stats object
 	 */
-	end() {
+	finish(outcome, error) {
+		if (this.disabled) return this.stats;
+		this.outcome = outcome;
+		this.error = error;
+		this.endTime = performance.now();
 		this.endedOn = new Date();
-		this.duration = this.endedOn - this.startedOn;
+		this.duration = this.endTime - this.startTime;
+		if (this.resourceMonitor) this.resources = this.resourceMonitor.usageSince(this.resourcesAtStart);
+		if (this.parent) this.parent.childDuration += this.duration;
 
 		this.updateStats();
 
-		let { warnThreshold } = this;
-		if (typeof warnThreshold !== 'number') warnThreshold = 2 * this.stats.avg + this.stats.std;
-		if (this.stats.count >= 100 && this.duration > warnThreshold) {
-			let warnMessage = `Block ${this.name} took longer than the acceptable threshold.`;
-			this.emit('warning', new XError(XError.LIMIT_EXCEEDED, warnMessage));
+		const warning = this.warningPolicy.check(this);
+		if (warning) {
+			this.stats.warningCount += 1;
+			this.emit('warning', warning);
 		}
 
 		this.emit('end', this);
@@ -70,14 +149,28 @@ class ProfilerBlock extends EventEmitter {
 	 * @returns {Object} - returns the updated stats object
 	 */
 	updateStats() {
-		const { duration, stats } = this;
-		stats.count += 1;
-		stats.sum += this.duration;
-		stats.sumSq += this.duration * this.duration;
-		stats.avg = stats.sum / stats.count;
-		stats.std = Math.sqrt((stats.sumSq / stats.count) - (stats.avg * stats.avg));
-		if (duration < stats.min) stats.min = duration;
-		if (duration > stats.max) stats.max = duration;
+		const { duration, stats, tagStats } = this;
+		const weight = 1 / this.sampleRate;
+		// An explicit 'error' outcome without an error object is counted as 'unknown'
+		const error = (this.outcome === 'error') ? (this.error || true) : null;
+		recordDuration(stats, duration, weight);
+		recordOutcome(stats, duration, error, weight);
+		if (tagStats) {
+			recordDuration(tagStats, duration, weight);
+			recordOutcome(tagStats, duration, error, weight);
+		}
+		if (this.resources) {
+			recordResources(stats, this.resources, weight);
+			if (tagStats) recordResources(tagStats, this.resources, weight);
+		}
+
+		const { pathStats } = this;
+		if (pathStats) {
+			pathStats.count += weight;
+			pathStats.sum += duration * weight;
+			// Concurrent children can add up to more than the parent's own duration
+			pathStats.selfSum += Math.max(0, duration - this.childDuration) * weight;
+		}
 		return stats;
 	}
 
@@ -95,16 +188,21 @@ class ProfilerBlock extends EventEmitter {
 	}
 
 	/**
-	 * Create a function that calls #end and throws its argument
+	 * Create a function that calls #fail and throws its argument
 	 *
 	 * @method wrappedEndError
 	 * @returns {Function}
 	 */
 	wrappedEndError() {
 		return (err) => {
-			this.end();
+			this.fail(err);
 			throw err;
 		};
 	}
 }
+
+function isErrorLike(value) {
+	return value instanceof Error || (_.isObjectLike(value) && (_.has(value, 'code') || _.has(value, 'message')));
+}
+
 module.exports = ProfilerBlock;
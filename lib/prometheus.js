@@ -0,0 +1,99 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const Histogram = require('./histogram');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Render profiler stats in the Prometheus text exposition format.  Block durations are rendered as a summary
+ * in seconds with the standard simprof percentiles as quantiles, and warnings as a counter, both labelled by
+ * namespace and block name.
+ *
+ * @param {Object} statsByNamespace - a map from namespace to a map from block name to stats object
+ * @param {Object} [options]
+ *   @param {String} [options.prefix='simprof_'] - prefix for the metric names
+ * @returns {String}
+ */
+function renderPrometheus(statsByNamespace, { prefix = 'simprof_' } = {}) {
+	const durationMetric = `${prefix}block_duration_seconds`;
+	const warningMetric = `${prefix}block_warnings_total`;
+
+	let durationLines = [
+		`# HELP ${durationMetric} Duration of profiled blocks.`,
+		`# TYPE ${durationMetric} summary`
+	];
+	let warningLines = [
+		`# HELP ${warningMetric} Number of slow block warnings.`,
+		`# TYPE ${warningMetric} counter`
+	];
+
+	for (let namespace of _.keys(statsByNamespace).sort()) {
+		const stats = statsByNamespace[namespace];
+		for (let name of _.keys(stats).sort()) {
+			const stat = stats[name];
+			if (stat.isHidden) continue;
+
+			const labels = { namespace, block: name };
+			_.forEach(Histogram.PERCENTILES, (percentile, key) => {
+				const quantileLabels = _.extend({}, labels, { quantile: `${+(percentile / 100).toPrecision(6)}` });
+				durationLines.push(sample(durationMetric, quantileLabels, stat[key] / 1000));
+			});
+			durationLines.push(sample(`${durationMetric}_sum`, labels, stat.sum / 1000));
+			durationLines.push(sample(`${durationMetric}_count`, labels, stat.count));
+			warningLines.push(sample(warningMetric, labels, stat.warningCount || 0));
+		}
+	}
+
+	return durationLines.concat(warningLines).join('\n') + '\n';
+}
+
+/**
+ * Create an `http.Server` request handler that responds with the output of a render function.  Also usable
+ * as connect/express middleware, in which case requests for other paths are passed to `next`.
+ *
+ * @param {Function} render - returns the exposition text
+ * @param {Object} [options]
+ *   @param {String} [options.path] - only respond to requests for this path; others get a 404
+ * @returns {Function} - `(req, res, next)`
+ */
+function createPrometheusHandler(render, { path } = {}) {
+	return (req, res, next) => {
+		if (path && req.url.split('?')[0] !== path) {
+			if (next) return next();
+			res.writeHead(404, { 'Content-Type': 'text/plain' });
+			res.end('Not Found\n');
+			return;
+		}
+		let body;
+		try {
+			body = render();
+		} catch (err) {
+			if (next) return next(err);
+			res.writeHead(500, { 'Content-Type': 'text/plain' });
+			res.end(`${err.message}\n`);
+			return;
+		}
+		res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+		res.end(body);
+	};
+}
+
+function sample(metric, labels, value) {
+	const labelString = _.map(labels, (labelValue, label) => `${label}="${escapeLabel(labelValue)}"`).join(',');
+	return `${metric}{${labelString}} ${formatValue(value)}`;
+}
+
+function escapeLabel(value) {
+	return `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+	if (value === Infinity) return '+Inf';
+	if (value === -Infinity) return '-Inf';
+	return `${value}`;
+}
+
+module.exports = { renderPrometheus, createPrometheusHandler, CONTENT_TYPE };
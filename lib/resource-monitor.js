@@ -0,0 +1,117 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+
+/**
+ * Measures the resources used by the process while blocks run: CPU time, the change in heap usage, and the delay
+ * of the event loop.  Take a `sample()` when a block begins and pass it to `usageSince()` when it ends.
+ *
+ * CPU time and heap usage are those of the whole process, so they include the work of anything else that ran
+ * concurrently with the block.  The event loop delay is sampled every `resolution` ms, so blocks shorter than that
+ * may have no loop delay samples.  It is measured with `perf_hooks.monitorEventLoopDelay()` where its histograms
+ * have a `count` (Node 16.14 and later), and with a timer of its own on older versions.
+ *
+ * @constructor
+ * @static
+ * @param {Object} [options]
+ *   @param {Boolean} [options.eventLoopDelay=true] - whether to monitor the event loop delay
+ *   @param {Number} [options.resolution=10] - the sampling interval of the event loop delay in ms
+ */
+class ResourceMonitor {
+	constructor({ eventLoopDelay = true, resolution = 10 } = {}) {
+		this.resolution = resolution;
+		this.eventLoopDelay = eventLoopDelay;
+		this.histogram = eventLoopDelay ? monitorEventLoopDelay({ resolution }) : null;
+		if (this.histogram && typeof this.histogram.count !== 'number') this.histogram = null;
+		// Totals of the fallback timer, in ms
+		this.timer = null;
+		this.timerCount = 0;
+		this.timerSum = 0;
+	}
+
+	/**
+	 * Start monitoring the event loop delay
+	 *
+	 * @method start
+	 * @returns {ResourceMonitor} - returns `this`
+	 */
+	start() {
+		if (this.histogram) {
+			this.histogram.enable();
+		} else if (this.eventLoopDelay && !this.timer) {
+			let lastTick = performance.now();
+			this.timer = setInterval(() => {
+				const now = performance.now();
+				this.timerCount += 1;
+				this.timerSum += now - lastTick;
+				lastTick = now;
+			}, this.resolution);
+			this.timer.unref();
+		}
+		return this;
+	}
+
+	/**
+	 * Stop monitoring the event loop delay
+	 *
+	 * @method stop
+	 * @returns {ResourceMonitor} - returns `this`
+	 */
+	stop() {
+		if (this.histogram) this.histogram.disable();
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+		return this;
+	}
+
+	/**
+	 * Get the current resource counters of the process
+	 *
+	 * @method sample
+	 * @returns {Object} - an object to pass to `usageSince()`
+	 */
+	sample() {
+		let sample = { cpu: process.cpuUsage(), heapUsed: process.memoryUsage().heapUsed };
+		if (this.histogram) {
+			const { count, mean } = this.histogram;
+			sample.loopDelayCount = count;
+			sample.loopDelaySum = count ? mean * count / 1e6 : 0;
+		} else if (this.eventLoopDelay) {
+			sample.loopDelayCount = this.timerCount;
+			sample.loopDelaySum = this.timerSum;
+		}
+		return sample;
+	}
+
+	/**
+	 * Get the resources used since a sample was taken
+	 *
+	 * @method usageSince
+	 * @param {Object} start - a sample from `sample()`
+	 * @returns {Object} - an object with the `cpuUser` and `cpuSystem` time in ms, the `heapDelta` in bytes, and
+	 *   with event loop delay monitoring, the number of `loopDelaySamples` taken and their mean `loopDelay` in ms
+	 *   beyond the resolution, or null without samples
+	 */
+	usageSince(start) {
+		const end = this.sample();
+		let usage = {
+			cpuUser: (end.cpu.user - start.cpu.user) / 1000,
+			cpuSystem: (end.cpu.system - start.cpu.system) / 1000,
+			heapDelta: end.heapUsed - start.heapUsed
+		};
+		if (end.loopDelayCount !== undefined && start.loopDelayCount !== undefined) {
+			// The totals are not reset between blocks, so the loop delay is derived from their change
+			const samples = end.loopDelayCount - start.loopDelayCount;
+			const mean = samples > 0 ? (end.loopDelaySum - start.loopDelaySum) / samples : null;
+			usage.loopDelaySamples = Math.max(0, samples);
+			usage.loopDelay = mean === null ? null : Math.max(0, mean - this.resolution);
+		}
+		return usage;
+	}
+}
+
+module.exports = ResourceMonitor;
@@ -0,0 +1,85 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/**
+ * A fixed-capacity buffer that overwrites its oldest items once full.
+ *
+ * @constructor
+ * @static
+ * @param {Number} capacity - the maximum number of items to hold
+ */
+class RingBuffer {
+	constructor(capacity) {
+		this.capacity = capacity;
+		this.clear();
+	}
+
+	/**
+	 * Remove all items
+	 *
+	 * @method clear
+	 * @returns {RingBuffer} - returns `this`
+	 */
+	clear() {
+		this.items = new Array(this.capacity);
+		this.start = 0;
+		this.length = 0;
+		this.dropped = 0;
+		return this;
+	}
+
+	/**
+	 * Add an item, overwriting the oldest item if the buffer is full
+	 *
+	 * @method push
+	 * @param {Mixed} item
+	 * @returns {RingBuffer} - returns `this`
+	 */
+	push(item) {
+		if (!this.capacity) {
+			this.dropped++;
+			return this;
+		}
+		if (this.length < this.capacity) {
+			this.items[(this.start + this.length) % this.capacity] = item;
+			this.length++;
+		} else {
+			this.items[this.start] = item;
+			this.start = (this.start + 1) % this.capacity;
+			this.dropped++;
+		}
+		return this;
+	}
+
+	/**
+	 * Change the capacity, keeping the newest items that fit.  Items that no longer fit count as dropped.
+	 *
+	 * @method resize
+	 * @param {Number} capacity
+	 * @returns {RingBuffer} - returns `this`
+	 */
+	resize(capacity) {
+		const items = this.toArray();
+		const { dropped } = this;
+		this.capacity = capacity;
+		this.clear();
+		for (let item of items) this.push(item);
+		this.dropped += dropped;
+		return this;
+	}
+
+	/**
+	 * Get all items, oldest first
+	 *
+	 * @method toArray
+	 * @returns {Array}
+	 */
+	toArray() {
+		let result = new Array(this.length);
+		for (let i = 0; i < this.length; i++) result[i] = this.items[(this.start + i) % this.capacity];
+		return result;
+	}
+}
+
+module.exports = RingBuffer;
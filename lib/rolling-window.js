@@ -0,0 +1,126 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { performance } = require('perf_hooks');
+const XError = require('xerror');
+
+/**
+ * Named windows accepted by `RollingWindow#query()`, in ms.
+ */
+const WINDOWS = {
+	'1m': 60 * 1000,
+	'5m': 5 * 60 * 1000,
+	'15m': 15 * 60 * 1000
+};
+
+/**
+ * Sliding-window duration aggregates backed by a ring of fixed-length time buckets.  A query for the last N ms
+ * combines the buckets overlapping that window, so results are accurate to within one bucket length.
+ *
+ * Time is measured with the monotonic clock.  Buckets are allocated on first use and reused as the ring wraps.
+ *
+ * @constructor
+ * @static
+ * @param {Object} [options]
+ *   @param {Number} [options.bucketDuration=10000] - the length of each bucket in ms
+ *   @param {Number} [options.bucketCount=90] - the number of buckets; the longest window that can be queried
+ *     is `bucketDuration * bucketCount` (15 minutes by default)
+ */
+class RollingWindow {
+	constructor({ bucketDuration = 10000, bucketCount = 90 } = {}) {
+		this.bucketDuration = bucketDuration;
+		this.bucketCount = bucketCount;
+		this.buckets = new Array(bucketCount);
+	}
+
+	/**
+	 * Record a duration
+	 *
+	 * @method record
+	 * @param {Number} duration - in ms
+	 * @param {Number} [now=performance.now()] - the monotonic time of the record
+	 * @param {Number} [weight=1] - the number of executions the duration stands for
+	 * @returns {RollingWindow} - returns `this`
+	 */
+	record(duration, now = performance.now(), weight = 1) {
+		const index = Math.floor(now / this.bucketDuration);
+		const slot = index % this.bucketCount;
+		let bucket = this.buckets[slot];
+		if (!bucket) bucket = this.buckets[slot] = {};
+		if (bucket.index !== index) {
+			bucket.index = index;
+			bucket.count = 0;
+			bucket.sum = 0;
+			bucket.sumSq = 0;
+			bucket.min = Infinity;
+			bucket.max = -Infinity;
+		}
+		bucket.count += weight;
+		bucket.sum += duration * weight;
+		bucket.sumSq += duration * duration * weight;
+		if (duration < bucket.min) bucket.min = duration;
+		if (duration > bucket.max) bucket.max = duration;
+		return this;
+	}
+
+	/**
+	 * Get the aggregate stats of the durations recorded in a recent window
+	 *
+	 * @method query
+	 * @param {String|Number} window - a named window ('1m', '5m' or '15m') or a length in ms
+	 * @param {Number} [now=performance.now()] - the monotonic time the window ends at
+	 * @returns {Object} - an object with `window` (in ms), `count`, `sum`, `sumSq`, `avg`, `std`, `min` and `max`
+	 */
+	query(window, now = performance.now()) {
+		const windowDuration = RollingWindow.parseWindow(window);
+		if (windowDuration > this.bucketDuration * this.bucketCount) {
+			throw new XError(XError.INVALID_ARGUMENT, `Window ${window} is longer than the tracked history`);
+		}
+
+		const lastIndex = Math.floor(now / this.bucketDuration);
+		const firstIndex = lastIndex - Math.ceil(windowDuration / this.bucketDuration) + 1;
+		let stats = {
+			window: windowDuration,
+			count: 0,
+			sum: 0,
+			sumSq: 0,
+			avg: 0,
+			std: 0,
+			min: Infinity,
+			max: -Infinity
+		};
+		for (let bucket of this.buckets) {
+			if (!bucket || bucket.index < firstIndex || bucket.index > lastIndex) continue;
+			stats.count += bucket.count;
+			stats.sum += bucket.sum;
+			stats.sumSq += bucket.sumSq;
+			if (bucket.min < stats.min) stats.min = bucket.min;
+			if (bucket.max > stats.max) stats.max = bucket.max;
+		}
+		if (stats.count) {
+			stats.avg = stats.sum / stats.count;
+			stats.std = Math.sqrt(Math.max(0, (stats.sumSq / stats.count) - (stats.avg * stats.avg)));
+		}
+		return stats;
+	}
+
+	/**
+	 * Convert a window name to ms
+	 *
+	 * @method parseWindow
+	 * @static
+	 * @param {String|Number} window - a named window ('1m', '5m' or '15m') or a length in ms
+	 * @returns {Number}
+	 * @throws {XError} - throws if the window is not recognized
+	 */
+	static parseWindow(window) {
+		if (typeof window === 'number' && window > 0) return window;
+		if (WINDOWS[window]) return WINDOWS[window];
+		throw new XError(XError.INVALID_ARGUMENT, `Unrecognized stats window: ${window}`);
+	}
+}
+
+RollingWindow.WINDOWS = WINDOWS;
+
+module.exports = RollingWindow;
@@ -0,0 +1,107 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Installs a process signal listener that enables the profiler on the first signal, and dumps
+ * `Profiler.dumpStats()` on each subsequent signal.
+ *
+ * @constructor
+ * @static
+ * @param {Function} Profiler - the Profiler class to enable and dump
+ * @param {Object} [options]
+ *   @param {String} [options.signal='SIGUSR2'] - the signal to listen for
+ *   @param {String|Function} [options.destination='stderr'] - where to write dumps.  Either 'stderr',
+ *     'stdout', a function called with the dump string, or a file path.  File paths get a timestamp
+ *     inserted before the extension so that subsequent dumps do not overwrite each other.
+ */
+class SignalHandler {
+	constructor(Profiler, { signal = 'SIGUSR2', destination = 'stderr' } = {}) {
+		this.Profiler = Profiler;
+		this.signal = signal;
+		this.destination = destination;
+		this.listener = () => this.handle();
+	}
+
+	/**
+	 * Start listening for the signal
+	 *
+	 * @method install
+	 * @returns {SignalHandler} - returns `this`
+	 */
+	install() {
+		process.on(this.signal, this.listener);
+		return this;
+	}
+
+	/**
+	 * Stop listening for the signal
+	 *
+	 * @method uninstall
+	 * @returns {SignalHandler} - returns `this`
+	 */
+	uninstall() {
+		process.removeListener(this.signal, this.listener);
+		return this;
+	}
+
+	/**
+	 * Enable the profiler if it is disabled, otherwise write a dump of its stats.
+	 *
+	 * @method handle
+	 */
+	handle() {
+		if (!this.Profiler.isEnabled()) {
+			this.Profiler.enable();
+			return;
+		}
+		try {
+			this.write(this.Profiler.dumpStats());
+		} catch (err) {
+			// Never let a failed dump take down the process from inside a signal handler
+			console.error(`Warning: Failed to write simprof dump: ${err.message}`);
+		}
+	}
+
+	/**
+	 * Write a dump to the configured destination
+	 *
+	 * @method write
+	 * @private
+	 * @param {String} output - the dump to write
+	 */
+	write(output) {
+		const { destination } = this;
+		if (typeof destination === 'function') {
+			destination(output);
+		} else if (destination === 'stderr') {
+			process.stderr.write(output);
+		} else if (destination === 'stdout') {
+			process.stdout.write(output);
+		} else {
+			fs.writeFileSync(timestampedPath(destination), output);
+		}
+	}
+}
+
+/**
+ * Insert a timestamp before the extension of a file path, ie. `/tmp/prof.txt` becomes
+ * `/tmp/prof-2016-01-01T00-00-00-000Z.txt`.
+ *
+ * @param {String} filePath
+ * @param {Date} [date=new Date()]
+ * @returns {String}
+ */
+function timestampedPath(filePath, date = new Date()) {
+	const ext = path.extname(filePath);
+	const base = filePath.slice(0, filePath.length - ext.length);
+	const timestamp = date.toISOString().replace(/[:.]/g, '-');
+	return `${base}-${timestamp}${ext}`;
+}
+
+SignalHandler.timestampedPath = timestampedPath;
+
+module.exports = SignalHandler;
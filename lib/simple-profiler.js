@@ -3,17 +3,50 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+const { performance } = require('perf_hooks');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const XError = require('xerror');
 const Table = require('easy-table');
 const _ = require('lodash');
 const LRU = require('lru-cache');
 
 const ProfilerBlock = require('./profiler-block');
+const { initStats, resetStats, recordDuration, updateInFlight, combineStats, windowStats } = require('./stats');
+const { displayDuration, formatStats, registerFormatter } = require('./format');
+const SignalHandler = require('./signal-handler');
+const TraceRecorder = require('./trace-recorder');
+const prometheus = require('./prometheus');
+const StatsdSink = require('./statsd-sink');
+const {
+	createSnapshot,
+	parseSnapshot,
+	mergeSerializedStats,
+	deserializeSnapshot,
+	diffSnapshots,
+	renderDiff
+} = require('./snapshot');
+const StatsReporter = require('./stats-reporter');
+const StatsAggregator = require('./stats-aggregator');
+const WarningPolicy = require('./warning-policy');
+const instrumentation = require('./instrument');
+const ThroughputMeter = require('./throughput-meter');
+const RingBuffer = require('./ring-buffer');
+const NamespaceFilter = require('./namespace-filter');
+const ResourceMonitor = require('./resource-monitor');
 
 global.simpleProfiler = global.simpleProfiler || {};
 const isEnabledSymbol = Symbol.for('zs-simple-profiler:isEnabled');
+const enabledFilterSymbol = Symbol.for('zs-simple-profiler:enabledFilter');
 
 const MAX_BLOCKS = 1000;
+// The most begins recorded per async context for ending blocks by name
+const MAX_BEGUN = 100;
+const MAX_PATHS = 1000;
+const PATH_SEPARATOR = ' > ';
+const OUTCOMES = [ 'success', 'error' ];
+const OTHER_TAGS_KEY = '(other)';
 
 /**
  * Simple code profiler.
@@ -27,6 +60,9 @@ class Profiler extends EventEmitter {
 	constructor(namespace) {
 		super();
 
+		// Constructing a profiler for an existing namespace must not replace the registered stats
+		if (global.simpleProfiler[namespace]) return global.simpleProfiler[namespace];
+
 		this.namespace = namespace;
 		this.activeBlocksById = new LRU({
 			max: MAX_BLOCKS,
@@ -34,58 +70,82 @@ class Profiler extends EventEmitter {
 			dispose: (key, block) => {
 				// Only do this cleanup if block is being dropped due to age
 				if (!block.finished) {
-					console.warn(`Warning: Detected unclosed simprof block with name ${block.name}`);
-					delete this.activeBlocksByName[block.name];
+					const origin = block.stack ? ` begun ${block.stack.split('\n')[0]}` : '';
+					console.warn(`Warning: Detected unclosed simprof block with name ${block.name}${origin}`);
+					this.untrackBlock(block);
+					if (!block.leaked) this.emitLeak(block, 'evicted');
 				}
 			},
 			noDisposeOnSet: true
 		});
 		this.activeBlocksByName = {};
 		this.idCounter = 0;
+		this.sampling = null;
+		this.blockSampling = {};
+		this.sampleCounters = {};
+		this.unsampledIds = {};
+		this.warningPolicy = null;
+		this.blockWarningPolicies = {};
 
 		this.stats = this.constructor.stats[namespace] = {};
-		this.events = this.constructor.events[namespace] = Array(10);
-		this.warnings = this.constructor.warnings[namespace] = Array(10);
+		this.pathStats = this.constructor.pathStats[namespace] = {};
+		this.events = this.constructor.events[namespace] = new RingBuffer(this.constructor.historySize);
+		this.warnings = this.constructor.warnings[namespace] = new RingBuffer(this.constructor.historySize);
 
 		const disabledBlockName = 'DISABLED';
 		const stats = this.stats[disabledBlockName] = { isHidden: true };
-		this.disabledBlock = new ProfilerBlock(-1, disabledBlockName, { stats });
+		this.disabledBlock = new ProfilerBlock(-1, disabledBlockName, { stats, disabled: true });
 
-		if (global.simpleProfiler[namespace]) {
-			return global.simpleProfiler[namespace];
-		} else {
-			global.simpleProfiler[namespace] = this;
-		}
+		global.simpleProfiler[namespace] = this;
 	}
 
 	/**
-	 * Enable all profilers.
+	 * Enable all profilers, or only those whose namespaces match patterns in the style of the `debug` package,
+	 * ie. 'db:*,-db:cache'.  Patterns replace those of earlier calls.  At startup, profilers are enabled with the
+	 * patterns in the `SIMPROF` environment variable, if it is set.
 	 *
 	 * @method enable
 	 * @static
+	 * @param {String} [patterns] - Namespaces separated by commas or spaces, where `*` matches any characters and
+	 *   a leading `-` excludes the matching namespaces.
 	 */
-	static enable() {
+	static enable(patterns) {
 		global.simpleProfiler[isEnabledSymbol] = true;
+		global.simpleProfiler[enabledFilterSymbol] = (patterns === undefined) ? null : new NamespaceFilter(patterns);
 	}
 
 	/**
-	 * Disable all profilers.
+	 * Disable all profilers, or only those whose namespaces match patterns.
 	 *
 	 * @method disable
 	 * @static
+	 * @param {String} [patterns] - Namespaces separated by commas or spaces, where `*` matches any characters.
 	 */
-	static disable() {
-		global.simpleProfiler[isEnabledSymbol] = false;
+	static disable(patterns) {
+		if (patterns === undefined) {
+			global.simpleProfiler[isEnabledSymbol] = false;
+			global.simpleProfiler[enabledFilterSymbol] = null;
+			return;
+		}
+		if (!global.simpleProfiler[isEnabledSymbol]) return;
+		let filter = global.simpleProfiler[enabledFilterSymbol];
+		if (!filter) filter = global.simpleProfiler[enabledFilterSymbol] = new NamespaceFilter('*');
+		filter.exclude(patterns);
 	}
 
 	/**
-	 * Get whether the profiler is enabled.
+	 * Get whether profilers are enabled: any of them, or the profiler of a given namespace.
 	 *
 	 * @method isEnabled
 	 * @static
+	 * @param {String} [namespace]
+	 * @returns {Boolean}
 	 */
-	static isEnabled() {
-		return global.simpleProfiler[isEnabledSymbol];
+	static isEnabled(namespace) {
+		const enabled = global.simpleProfiler[isEnabledSymbol];
+		if (!enabled || namespace === undefined) return enabled;
+		const filter = global.simpleProfiler[enabledFilterSymbol];
+		return !filter || filter.matches(namespace);
 	}
 
 	/**
@@ -111,124 +171,1015 @@ class Profiler extends EventEmitter {
 	}
 
 	/**
-	 * Get the events of all profilers.
+	 * Get the call path stats of all profilers.
 	 *
-	 * @method getEvents
+	 * @method getPathStats
 	 * @static
 	 * @returns {Object}
 	 */
-	static getEvents() {
-		return this.events;
+	static getPathStats() {
+		return this.pathStats;
 	}
 
 	/**
-	 * Get the warnings of all profilers.
+	 * Set the policy for warning about slow blocks in all profilers, unless overridden per profiler or block with
+	 * `Profiler#setWarningPolicy()`.
+	 *
+	 * @method setWarningPolicy
+	 * @static
+	 * @param {WarningPolicy|Object|null} policy - A WarningPolicy, or its options: `minCount`, one of `threshold`,
+	 *   `percentile` and `sigma`, and `interval`.  Pass null to go back to the default policy.
+	 */
+	static setWarningPolicy(policy) {
+		this.warningPolicy = warningPolicyOf(policy) || new WarningPolicy();
+	}
+
+	/**
+	 * Get the innermost unfinished block that is active in the current async context, if any.
+	 *
+	 * @method getActiveBlock
+	 * @static
+	 * @returns {ProfilerBlock|null}
+	 */
+	static getActiveBlock() {
+		let block = this.asyncStorage.getStore();
+		// Callbacks scheduled by a wrapped call can run after its block has ended
+		while (block && block.finished) block = block.parent;
+		return block || null;
+	}
+
+	/**
+	 * Get the blocks that are in flight in all profilers, oldest first.
+	 *
+	 * @method getActiveBlocks
+	 * @static
+	 * @param {Object} [options] - Options as for `Profiler#getActiveBlocks()`.
+	 * @returns {Object[]}
+	 */
+	static getActiveBlocks(options) {
+		const blocks = _.flatMap(_.values(global.simpleProfiler), (profiler) => profiler.getActiveBlocks(options));
+		return _.orderBy(blocks, 'age', 'desc');
+	}
+
+	/**
+	 * Periodically look for blocks that have been in flight for longer than `maxAge`, which have likely leaked
+	 * because they are never ended.  Each is reported once with a `leak` event on its profiler and on
+	 * `Profiler.emitter`.  Replaces any previously started leak detection.
+	 *
+	 * Blocks that are dropped unclosed to bound memory, after `MAX_BLOCKS` newer blocks of their profiler,
+	 * are also reported, whether or not leak detection is started.
+	 *
+	 * @method startLeakDetection
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {Number} [options.maxAge=60000] - The age in ms above which a block has leaked.
+	 *   @param {Number} [options.interval=10000] - The time between sweeps in ms.
+	 *   @param {Boolean} [options.captureStacks=false] - Capture the call stack each block is begun from, to
+	 *     report where leaked blocks came from.  This slows down beginning blocks.
+	 */
+	static startLeakDetection({ maxAge = 60000, interval = 10000, captureStacks = false } = {}) {
+		this.stopLeakDetection();
+		this.leakDetection = { maxAge, captureStacks, timer: setInterval(() => this.detectLeaks(), interval) };
+		this.leakDetection.timer.unref();
+	}
+
+	/**
+	 * Stop leak detection started with `startLeakDetection()`, if any.
+	 *
+	 * @method stopLeakDetection
+	 * @static
+	 */
+	static stopLeakDetection() {
+		if (this.leakDetection) {
+			clearInterval(this.leakDetection.timer);
+			this.leakDetection = null;
+		}
+	}
+
+	/**
+	 * Start measuring the resources used by each block begun from now on: the CPU time and change in heap usage of
+	 * the process from the beginning to the end of the block, and the event loop delay while it ran.  The totals
+	 * are kept as the `resources` of block stats, and can be shown with the 'cpu user', 'cpu system', 'heap' and
+	 * 'loop delay' columns of `dumpStats()`.  This slows down beginning and ending blocks.
+	 *
+	 * @method startResourceTracking
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {Boolean} [options.eventLoopDelay=true] - Monitor the event loop delay.
+	 *   @param {Number} [options.resolution=10] - The sampling interval of the event loop delay in ms.
+	 */
+	static startResourceTracking(options) {
+		this.stopResourceTracking();
+		this.resourceMonitor = new ResourceMonitor(options).start();
+	}
+
+	/**
+	 * Stop measuring the resources used by blocks.  Blocks already begun still record their CPU time and heap usage
+	 * when they end.
+	 *
+	 * @method stopResourceTracking
+	 * @static
+	 */
+	static stopResourceTracking() {
+		if (this.resourceMonitor) {
+			this.resourceMonitor.stop();
+			this.resourceMonitor = null;
+		}
+	}
+
+	/**
+	 * Report the blocks in flight for longer than the `maxAge` of leak detection that were not reported yet.
+	 *
+	 * @method detectLeaks
+	 * @static
+	 * @param {Number} [maxAge] - Defaults to the `maxAge` of leak detection.
+	 * @returns {Object[]} - The new leaks.
+	 * @throws {XError} - throws if no `maxAge` is given and leak detection is not started
+	 */
+	static detectLeaks(maxAge = this.leakDetection && this.leakDetection.maxAge) {
+		if (!_.isNumber(maxAge)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Profiler.detectLeaks needs a maxAge w/o leak detection');
+		}
+		return _.flatMap(_.values(global.simpleProfiler), (profiler) => profiler.detectLeaks(maxAge));
+	}
+
+	/**
+	 * Get the recent events of all profilers.
+	 *
+	 * @method getEvents
+	 * @static
+	 * @param {Object} [query] - Filters as for `Profiler#getEvents()`.
+	 * @returns {Object} - A map from namespace to the events of its profiler.
+	 */
+	static getEvents(query) {
+		return _.mapValues(this.events, (history) => queryHistory(history, query));
+	}
+
+	/**
+	 * Get the recent warnings of all profilers.
 	 *
 	 * @method getWarnings
 	 * @static
-	 * @returns {Array}
+	 * @param {Object} [query] - Filters as for `Profiler#getEvents()`.
+	 * @returns {Object} - A map from namespace to the warnings of its profiler.
+	 */
+	static getWarnings(query) {
+		return _.mapValues(this.warnings, (history) => queryHistory(history, query));
+	}
+
+	/**
+	 * Set the number of recent events, and separately of warnings, kept by each profiler, including those that
+	 * already exist.
+	 *
+	 * @method setHistorySize
+	 * @static
+	 * @param {Number} size
+	 * @throws {XError} - throws if the size is not a non-negative integer
 	 */
-	static getWarnings() {
-		return this.warnings;
+	static setHistorySize(size) {
+		validateHistorySize(size);
+		this.historySize = size;
+		_.forEach(global.simpleProfiler, (profiler) => profiler.setHistorySize(size));
 	}
 
 	/**
-	 * Get a string table output of the useful stats for all blocks in all profilers.
+	 * Get an output of the useful stats for all blocks in all profilers, as a single document in the given format.
+	 *
+	 * When aggregating the stats of workers with `startAggregating()`, the stats of this process and all workers
+	 * are shown combined instead, except with the `tree` and `window` options, which cover only this process.
 	 *
 	 * @method dumpStats
 	 * @static
+	 * @param {Object} [options] - Options as for each profiler's `dumpStats()`, plus:
+	 *   @param {Boolean} [options.byWorker=false] - When aggregating, also show the stats of each worker.
+	 * @returns {String}
+	 */
+	static dumpStats(options = {}) {
+		if (this.aggregator && this.aggregator.snapshots.size && !options.tree && !options.window) {
+			return this.dumpAggregatedStats(options);
+		}
+
+		const sections = _.map(global.simpleProfiler, (profiler) => profiler.statsSection(options));
+		return formatStats(sections, options);
+	}
+
+	/**
+	 * Get an output of the combined stats of this process and its workers.
+	 *
+	 * @method dumpAggregatedStats
+	 * @static
+	 * @private
+	 * @param {Object} options - Options as for `dumpStats()`.
+	 * @returns {String}
+	 */
+	static dumpAggregatedStats(options) {
+		const snapshot = this.snapshot();
+		let views = [ [ 'all workers', this.aggregator.combine(snapshot) ] ];
+		if (options.byWorker) {
+			views.push([ 'local', snapshot ]);
+			views = views.concat(_.toPairs(this.aggregator.getSnapshots()));
+		}
+
+		let sections = [];
+		for (let [ label, viewSnapshot ] of views) {
+			const statsByNamespace = deserializeSnapshot(viewSnapshot);
+			for (let namespace of _.keys(statsByNamespace).sort()) {
+				const rows = blockRows(namespace, statsByNamespace[namespace], options);
+				sections.push({ namespace, title: `${namespace} (${label})`, rows, events: [] });
+			}
+		}
+		return formatStats(sections, options);
+	}
+
+	/**
+	 * Add an output format for `dumpStats()`, or replace one.  The formatter is called with the sections of the
+	 * dump, one per profiler, and the options of the dump, and returns the output.  Each section has the
+	 * `namespace`, the `title`, the filtered, sorted and limited `rows` (objects with the `namespace`, `name` and
+	 * `stat` of each block) and the recent `events` of a profiler.  The options have `columns` resolved to
+	 * column definitions, each with a `name`, a `key` and a `value(stat)` function.
+	 *
+	 * @method registerFormatter
+	 * @static
+	 * @param {String} name - The name to select the format with, as the `format` option of `dumpStats()`.
+	 * @param {Function} formatter
+	 */
+	static registerFormatter(name, formatter) {
+		registerFormatter(name, formatter);
+	}
+
+	/**
+	 * Install a signal handler that enables the profiler on the first signal, and dumps the stats of all
+	 * profilers on subsequent signals.  Replaces any previously installed handler.
+	 *
+	 * @method installSignalHandler
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {String} [options.signal='SIGUSR2'] - the signal to listen for
+	 *   @param {String|Function} [options.destination='stderr'] - 'stderr', 'stdout', a file path (which
+	 *     gets a timestamp appended), or a function called with the dump string
+	 * @returns {SignalHandler}
+	 */
+	static installSignalHandler(options) {
+		this.uninstallSignalHandler();
+		this.signalHandler = new SignalHandler(this, options).install();
+		return this.signalHandler;
+	}
+
+	/**
+	 * Remove the signal handler installed by `installSignalHandler()`, if any.
+	 *
+	 * @method uninstallSignalHandler
+	 * @static
+	 */
+	static uninstallSignalHandler() {
+		if (this.signalHandler) {
+			this.signalHandler.uninstall();
+			this.signalHandler = null;
+		}
+	}
+
+	/**
+	 * Start recording the begin and end of every block in all profilers, for export to the Trace Event
+	 * format used by `chrome://tracing` and Perfetto.  Restarts recording if already started.
+	 *
+	 * @method startTrace
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {Number} [options.maxEvents=100000] - the maximum number of begin/end records to keep
+	 * @returns {TraceRecorder}
+	 */
+	static startTrace({ maxEvents } = {}) {
+		if (this.traceRecorder) this.traceRecorder.stop();
+		this.traceRecorder = new TraceRecorder({ emitter: this.emitter, maxEvents }).start();
+		return this.traceRecorder;
+	}
+
+	/**
+	 * Stop recording a trace started with `startTrace()`.
+	 *
+	 * @method stopTrace
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {String} [options.path] - if given, the trace is also written to this file as JSON
+	 * @returns {Object} - the trace, in the Trace Event JSON object format
+	 * @throws {XError} - throws if no trace was started
+	 */
+	static stopTrace({ path } = {}) {
+		if (!this.traceRecorder) throw new XError(XError.INTERNAL_ERROR, 'No simprof trace has been started');
+		const trace = this.traceRecorder.stop().toJSON();
+		this.traceRecorder = null;
+		if (path) fs.writeFileSync(path, JSON.stringify(trace));
+		return trace;
+	}
+
+	/**
+	 * Get the stats of every registered profiler, keyed by namespace.
+	 *
+	 * @method getStatsByNamespace
+	 * @static
+	 * @returns {Object}
+	 */
+	static getStatsByNamespace() {
+		return _.mapValues(global.simpleProfiler, (profiler) => profiler.getStats());
+	}
+
+	/**
+	 * Get a deep, JSON-serializable copy of the stats of all profilers.
+	 *
+	 * @method snapshot
+	 * @static
+	 * @returns {Object} - an object with `version`, `createdOn`, `pid`, and `namespaces`, a map from namespace
+	 *   to a map from block name to stats
+	 */
+	static snapshot() {
+		return createSnapshot(this.getStatsByNamespace());
+	}
+
+	/**
+	 * Compute the per-block change between two snapshots: the `count`, `sum`, `mean` and `std` of only the blocks
+	 * that ended in between, and the relative `change` of the mean compared to `beforeMean`, the mean as of
+	 * the first snapshot.
+	 *
+	 * @method diff
+	 * @static
+	 * @param {Object} before - A snapshot from `Profiler.snapshot()`.
+	 * @param {Object} [after=Profiler.snapshot()] - A later snapshot.
+	 * @returns {Object} - an object with `from`, `to`, and `namespaces`, a map from namespace to a map from block
+	 *   name to change
+	 */
+	static diff(before, after = this.snapshot()) {
+		return diffSnapshots(before, after);
+	}
+
+	/**
+	 * Get a string table output of a diff, marking blocks whose mean regressed by more than a threshold.
+	 *
+	 * @method dumpDiff
+	 * @static
+	 * @param {Object} diff - The result of `Profiler.diff()`.
+	 * @param {Object} [options]
+	 *   @param {Number} [options.threshold=0.1] - The relative change of the mean above which to mark a regression.
+	 *   @param {Boolean} [options.all=false] - Include blocks that did not run between the snapshots.
+	 * @returns {String}
+	 */
+	static dumpDiff(diff, options) {
+		return renderDiff(diff, options);
+	}
+
+	/**
+	 * Save the stats of all profilers to a file, in the versioned JSON format of `snapshot()`.  The file is
+	 * replaced atomically.
+	 *
+	 * @method save
+	 * @static
+	 * @param {String} path
+	 * @returns {Object} - the saved snapshot
+	 */
+	static save(path) {
+		const snapshot = this.snapshot();
+		const tempPath = `${path}.${process.pid}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+		fs.renameSync(tempPath, path);
+		return snapshot;
+	}
+
+	/**
+	 * Load stats saved with `save()` into the live stats, creating profilers for namespaces that do not exist yet.
+	 *
+	 * @method load
+	 * @static
+	 * @param {String} path
+	 * @param {Object} [options]
+	 *   @param {Boolean} [options.merge=true] - Add the saved stats to the live stats.  If false, the live stats of
+	 *     each block in the file are replaced by the saved stats instead.
+	 * @returns {Object} - the loaded snapshot
+	 * @throws {XError} - throws if the file is not a snapshot of a supported version
+	 */
+	static load(path, { merge = true } = {}) {
+		const snapshot = parseSnapshot(fs.readFileSync(path, 'utf8'));
+		_.forEach(snapshot.namespaces, (blocks, namespace) => {
+			const profiler = new this(namespace);
+			_.forEach(blocks, (saved, name) => {
+				let stats = profiler.stats[name];
+				if (!_.isObject(stats)) stats = profiler.stats[name] = {};
+				if (merge) {
+					initStats(stats);
+				} else {
+					resetStats(stats);
+				}
+				// Blocks in flight in the process that saved the stats will never end here
+				mergeSerializedStats(stats, saved, { concurrency: false });
+			});
+		});
+		return snapshot;
+	}
+
+	/**
+	 * Periodically save the stats of all profilers to a file, and save them once more when the process is
+	 * about to exit.  Replaces any previously started autosave.
+	 *
+	 * Note that `beforeExit` is not emitted on `process.exit()` or on termination by a signal.
+	 *
+	 * @method startAutosave
+	 * @static
+	 * @param {String} path
+	 * @param {Object} [options]
+	 *   @param {Number} [options.interval=60000] - the time between saves in ms
+	 */
+	static startAutosave(path, { interval = 60000 } = {}) {
+		this.stopAutosave();
+		const save = () => {
+			try {
+				this.save(path);
+			} catch (err) {
+				console.warn(`Warning: simprof failed to save stats to ${path}: ${err.message}`);
+			}
+		};
+		this.autosave = { timer: setInterval(save, interval), save };
+		this.autosave.timer.unref();
+		process.on('beforeExit', save);
+	}
+
+	/**
+	 * Stop saving stats started with `startAutosave()`, if any.
+	 *
+	 * @method stopAutosave
+	 * @static
+	 */
+	static stopAutosave() {
+		if (this.autosave) {
+			clearInterval(this.autosave.timer);
+			process.removeListener('beforeExit', this.autosave.save);
+			this.autosave = null;
+		}
+	}
+
+	/**
+	 * Periodically send the stats of all profilers in this `cluster` worker or worker thread to the primary,
+	 * which must call `startAggregating()`.  Replaces any previously started reporting.
+	 *
+	 * If this process is itself aggregating the stats of its own workers, their stats are included.
+	 *
+	 * @method startReporting
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {Object} [options.port] - The channel to send on: `process` or a `MessagePort`.  Defaults to the IPC
+	 *     channel of a `cluster` worker, or the `parentPort` of a worker thread.
+	 *   @param {Number} [options.interval=5000] - The time between reports in ms.
+	 * @returns {StatsReporter}
+	 * @throws {XError} - throws if no port is given and this is not a worker
+	 */
+	static startReporting(options) {
+		this.stopReporting();
+		const snapshot = () => (this.aggregator ? this.aggregator.combine(this.snapshot()) : this.snapshot());
+		this.reporter = new StatsReporter(_.extend({ snapshot }, options)).start();
+		return this.reporter;
+	}
+
+	/**
+	 * Stop reporting started with `startReporting()`, if any, after sending a final report.
+	 *
+	 * @method stopReporting
+	 * @static
+	 */
+	static stopReporting() {
+		if (this.reporter) {
+			this.reporter.stop();
+			this.reporter = null;
+		}
+	}
+
+	/**
+	 * Start collecting the stats reported by workers with `startReporting()`, so that `dumpStats()` shows the
+	 * combined stats of this process and its workers.  All `cluster` workers are collected from automatically;
+	 * worker threads must be added with `addWorker()` on the returned StatsAggregator.
+	 *
+	 * @method startAggregating
+	 * @static
+	 * @returns {StatsAggregator}
+	 */
+	static startAggregating() {
+		if (!this.aggregator) this.aggregator = new StatsAggregator();
+		return this.aggregator.start();
+	}
+
+	/**
+	 * Stop collecting and discard the stats of workers.
+	 *
+	 * @method stopAggregating
+	 * @static
+	 */
+	static stopAggregating() {
+		if (this.aggregator) {
+			this.aggregator.stop();
+			this.aggregator = null;
+		}
+	}
+
+	/**
+	 * Render the stats of all profilers in the Prometheus text exposition format.
+	 *
+	 * @method renderPrometheus
+	 * @static
+	 * @param {Object} [options]
+	 *   @param {String} [options.prefix='simprof_'] - prefix for the metric names
 	 * @returns {String}
 	 */
-	static dumpStats() {
-		let output = '';
-		for (let namespace in global.simpleProfiler) {
-			output += global.simpleProfiler[namespace].dumpStats();
+	static renderPrometheus(options) {
+		return prometheus.renderPrometheus(this.getStatsByNamespace(), options);
+	}
+
+	/**
+	 * Create an `http.Server` request handler (or connect/express middleware) that serves the stats of all
+	 * profilers in the Prometheus text exposition format.
+	 *
+	 * @method createPrometheusHandler
+	 * @static
+	 * @param {Object} [options] - Options passed to `renderPrometheus()`, plus:
+	 *   @param {String} [options.path] - only respond to requests for this path, ie. '/metrics'
+	 * @returns {Function}
+	 */
+	static createPrometheusHandler(options = {}) {
+		return prometheus.createPrometheusHandler(() => this.renderPrometheus(options), options);
+	}
+
+	/**
+	 * Start pushing the timing of every finished block, and warning counts, to a StatsD-compatible agent.
+	 *
+	 * @method startStatsdSink
+	 * @static
+	 * @param {Object} [options] - Options for StatsdSink: `host`, `port`, `prefix`, `sampleRate`, `dogstatsd`,
+	 *   `tags`, `flushInterval` and `maxPacketSize`.
+	 * @returns {StatsdSink} - the started sink; call `stop()` on it to flush and close it.
+	 */
+	static startStatsdSink(options) {
+		return new StatsdSink(_.extend({ emitter: this.emitter }, options)).start();
+	}
+
+	/**
+	 * Get whether this profiler is enabled, as set by `Profiler.enable()` and `Profiler.disable()`.
+	 *
+	 * @method isEnabled
+	 * @returns {Boolean}
+	 */
+	isEnabled() {
+		return this.constructor.isEnabled(this.namespace);
+	}
+
+	/**
+	 * Register a ProfilerBlock with the Profiler
+	 *
+	 * @method addBlock
+	 * @param {ProfilerBlock} block - the ProfilerBlock to register
+	 * @returns {Profiler} - returns `this`
+	 */
+	addBlock(block) {
+		const { id, name } = block;
+		this.activeBlocksById.set(id, block);
+		if (!this.activeBlocksByName[name]) this.activeBlocksByName[name] = [];
+		this.activeBlocksByName[name].push(block);
+		updateInFlight(block.stats, 1);
+		if (block.tagStats) updateInFlight(block.tagStats, 1);
+
+		// deregister the block when it emits 'end'
+		block.on('end', (block) => {
+			this.removeBlock(block);
+			this.emitEnd(block);
+		});
+
+		// pass-through warnings
+		block.on('warning', (warning) => this.emitWarning(warning, block));
+
+		return this;
+	}
+
+	/**
+	 * Deregister a ProfilerBlock with the Profiler
+	 *
+	 * @method removeBlock
+	 * @param {ProfilerBlock} block - the ProfilerBlock to deregister
+	 * @returns {Profiler} - returns `this`
+	 */
+	removeBlock(block) {
+		block.finished = true;
+		this.activeBlocksById.del(block.id);
+		this.untrackBlock(block);
+		return this;
+	}
+
+	/**
+	 * Stop counting a block as in flight and drop it from the lookup by name
+	 *
+	 * @method untrackBlock
+	 * @private
+	 * @param {ProfilerBlock} block
+	 */
+	untrackBlock(block) {
+		const blocks = this.activeBlocksByName[block.name];
+		const index = blocks ? blocks.indexOf(block) : -1;
+		// Blocks dropped from the LRU are untracked before they end
+		if (index === -1) return;
+
+		blocks.splice(index, 1);
+		if (!blocks.length) {
+			delete this.activeBlocksByName[block.name];
+			// Unsampled begins older than every block in flight can no longer be mistaken for one
+			delete this.unsampledIds[block.name];
+		}
+		updateInFlight(block.stats, -1);
+		if (block.tagStats) updateInFlight(block.tagStats, -1);
+	}
+
+	/**
+	 * Get a block by name or id, or pass through if called w/ a block.
+	 *
+	 * Several blocks with the same name can be in flight at once, ie. in concurrent requests.  A name refers to
+	 * the newest block with that name in the current async context if there is one, either one whose wrapped call
+	 * is running or one begun earlier in the same async call, and otherwise to the most recently begun block with
+	 * that name.
+	 *
+	 * @method getBlock
+	 * @param {Number|String|Object} block - Either the `id` or `name` of a block to end, or the block itself.
+	 * @return {ProfilerBlock} - the ProfilerBlock
+	 * @throws {XError} - throws if the block is not found
+	 */
+	getBlock(block) {
+		if (typeof block === 'number') block = this.activeBlocksById.get(block);
+		if (typeof block === 'string') block = this.getBlockByName(block);
+		if (!block) return null;
+		if (block instanceof ProfilerBlock) return block;
+
+		const msg = 'Profiler#getBlock must be called w/ a ProfilerBlock or the name or id of a block';
+		throw new XError(XError.INTERNAL_ERROR, msg);
+	}
+
+	/**
+	 * Get the in-flight block a name refers to, as described for `getBlock()`.
+	 *
+	 * @method getBlockByName
+	 * @private
+	 * @param {String} name
+	 * @returns {ProfilerBlock|undefined}
+	 */
+	getBlockByName(name) {
+		const blocks = this.activeBlocksByName[name];
+		if (!blocks) return undefined;
+		return this.getContextBlockByName(name) || _.last(blocks);
+	}
+
+	/**
+	 * Get the newest unfinished block with a name in the current async context, either one whose wrapped call is
+	 * running or one begun earlier in the same async call.
+	 *
+	 * @method getContextBlockByName
+	 * @private
+	 * @param {String} name
+	 * @returns {ProfilerBlock|undefined}
+	 */
+	getContextBlockByName(name) {
+		return this.getContextEntryByName(name, true) || undefined;
+	}
+
+	/**
+	 * Get the newest unfinished begin with a name in the current async context, which may be the marker of a begin
+	 * that was not sampled.
+	 *
+	 * @method getContextEntryByName
+	 * @private
+	 * @param {String} name
+	 * @param {Boolean} [sampledOnly=false] - whether to skip the markers of unsampled begins
+	 * @returns {ProfilerBlock|Object|null}
+	 */
+	getContextEntryByName(name, sampledOnly = false) {
+		const isMatch = (entry) => entry.name === name && entry.namespace === this.namespace && !entry.finished &&
+			!(sampledOnly && entry.isUnsampled);
+		let match = null;
+		for (let block = this.constructor.getActiveBlock(); block; block = block.parent) {
+			if (isMatch(block)) {
+				match = block;
+				break;
+			}
+		}
+		for (let entry of this.constructor.begunStorage.getStore() || []) {
+			if (isMatch(entry) && (!match || entry.id > match.id)) match = entry;
+		}
+		return match;
+	}
+
+	/**
+	 * Get the block to end for `end()` and similar methods.  A name refers to nothing if the newest begin with that
+	 * name in the current async context was not sampled.  A name that falls back to the most recently begun block
+	 * also refers to nothing if a begin with that name that was not sampled came later, as the caller that ends it
+	 * by name is likely the caller of that begin.
+	 *
+	 * @method getBlockToEnd
+	 * @private
+	 * @param {Number|String|Object} blockData - Either the `id` or `name` of a block to end, or the block itself.
+	 * @returns {ProfilerBlock|null}
+	 */
+	getBlockToEnd(blockData) {
+		if (typeof blockData === 'string') {
+			const entry = this.getContextEntryByName(blockData);
+			if (entry && entry.isUnsampled) {
+				entry.finished = true;
+				_.pull(this.unsampledIds[blockData] || [], entry.id);
+				return null;
+			}
+			if (entry) return entry;
+
+			const ids = this.unsampledIds[blockData];
+			const block = _.last(this.activeBlocksByName[blockData]);
+			if (ids && block && _.last(ids) > block.id) {
+				ids.pop();
+				return null;
+			}
+		}
+		return this.getBlock(blockData);
+	}
+
+	/**
+	 * Record a begin that was not sampled, so that ending it by name does not end another block.
+	 *
+	 * @method recordUnsampledBegin
+	 * @private
+	 * @param {String} name
+	 * @returns {Number} - the id of the begin
+	 */
+	recordUnsampledBegin(name) {
+		const id = ++this.idCounter;
+		// Only begins after a block in flight can be mistaken for it
+		if (!this.activeBlocksByName[name]) return id;
+		if (!this.unsampledIds[name]) this.unsampledIds[name] = [];
+		const ids = this.unsampledIds[name];
+		ids.push(id);
+		if (ids.length > MAX_BLOCKS) ids.shift();
+		return id;
+	}
+
+	/**
+	 * Record a begin in the current async context, so that ending it by name in the same async call finds it.
+	 * Unlike the block of a wrapped call, it is not the parent of blocks begun after it.
+	 *
+	 * @method enterBegun
+	 * @private
+	 * @param {ProfilerBlock|Object} entry - The block, or the marker of a begin that was not sampled.
+	 */
+	enterBegun(entry) {
+		const storage = this.constructor.begunStorage;
+		// Copied so that async calls begun earlier in this context keep their own list
+		let begun = _.reject(storage.getStore(), 'finished');
+		begun.push(entry);
+		if (begun.length > MAX_BEGUN) begun.shift();
+		storage.enterWith(begun);
+	}
+
+	/**
+	 * Begin profiling a single block.
+	 *
+	 * The block that is active in the current async context (if any) is recorded as the new block's parent.
+	 * Stats are kept both per block name and per call path.  The new block does not become the active block, as
+	 * blocks begun side by side in a shared context, such as a timer or event listener, would nest in each other;
+	 * use `wrap()` or `run()` to make a block the parent of the blocks begun within it.
+	 *
+	 * If `tags` are given, stats are also kept for the block's combination of tags, up to
+	 * `Profiler.maxTagSets` combinations per block name; further combinations are counted together under
+	 * the '(other)' combination.
+	 *
+	 * @method begin
+	 * @param {String} name - The human-readable name of the block.
+	 * @param {Number|Object} [options] - The threshold above which to warn of blocks taking too long, or:
+	 *   @param {Number} [options.warnThreshold] - The threshold above which to warn of blocks taking too long.
+	 *   @param {Object} [options.tags] - Labels for this execution, ie. `{ method: 'GET', tenant: 'foo' }`.
+	 * @returns {ProfilerBlock} - A block representing a single profiling segment.
+	 */
+	begin(name, options) {
+		const block = this.createBlock(name, options);
+		if (block !== this.disabledBlock) {
+			this.enterBegun(block);
+		} else if (this.isEnabled()) {
+			// Not sampled
+			const id = this.recordUnsampledBegin(name);
+			this.enterBegun({ id, name, namespace: this.namespace, isUnsampled: true, finished: false });
+		}
+		return block;
+	}
+
+	/**
+	 * Begin profiling a single block.
+	 *
+	 * @method createBlock
+	 * @private
+	 * @param {String} name - The human-readable name of the block.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
+	 * @returns {ProfilerBlock}
+	 */
+	createBlock(name, options) {
+		if (!this.isEnabled()) return this.disabledBlock;
+
+		const sampleRate = this.sample(name);
+		if (!sampleRate) return this.disabledBlock;
+
+		const { warnThreshold, tags } = blockOptions(options);
+
+		const id = ++this.idCounter;
+
+		const stats = this.statsFor(name);
+		const parent = this.constructor.getActiveBlock();
+		const pathStats = this.getPathStatsFor(name, parent);
+		const tagStats = this.getTagStatsFor(stats, tags);
+		const { namespace } = this;
+		const { leakDetection } = this.constructor;
+		const stack = (leakDetection && leakDetection.captureStacks) ? captureStack() : null;
+
+		const block = new ProfilerBlock(id, name, {
+			warnThreshold,
+			stats,
+			namespace,
+			parent,
+			pathStats,
+			tags,
+			tagStats,
+			sampleRate,
+			warningPolicy: this.getWarningPolicy(name),
+			stack,
+			resourceMonitor: this.constructor.resourceMonitor
+		});
+
+		this.addBlock(block);
+		this.emitBegin(block);
+
+		return block;
+	}
+
+	/**
+	 * Get the stats object of a block name, creating it if needed.
+	 *
+	 * @method statsFor
+	 * @private
+	 * @param {String} name
+	 * @returns {Object}
+	 */
+	statsFor(name) {
+		if (!_.isObject(this.stats[name])) this.stats[name] = {};
+		return this.stats[name];
+	}
+
+	/**
+	 * Record a duration in the stats of a block name without creating a block, for measurements such as per-item
+	 * latencies that are too frequent or too fine-grained to profile as blocks.
+	 *
+	 * @method recordStats
+	 * @private
+	 * @param {String} name
+	 * @param {Number} duration - in ms
+	 * @param {Number} [weight=1] - the number of executions the duration stands for
+	 * @returns {Object} - the updated stats object
+	 */
+	recordStats(name, duration, weight = 1) {
+		return recordDuration(initStats(this.statsFor(name)), duration, weight);
+	}
+
+	/**
+	 * Profile only a sample of the executions of the blocks in this profiler, or of a single block.  Executions
+	 * that are not sampled get the no-op `disabledBlock`, and the stats of sampled executions are scaled up to
+	 * estimate the counts and sums of all executions.  Sampled stats are marked in `dumpStats()` output.
+	 *
+	 * @method setSampling
+	 * @param {String} [name] - The block to sample.  If omitted, sets the default of all blocks in the profiler.
+	 * @param {Number|Object|null} options - A sample rate, or:
+	 *   @param {Number} [options.rate] - The fraction of executions to profile, at random.
+	 *   @param {Number} [options.every] - Profile the first and then every Nth execution.
+	 *   Pass null to stop sampling, or for a single block, to go back to the profiler's default.
+	 * @returns {Profiler} - returns `this`
+	 * @throws {XError} - throws if the rate is not in (0, 1] or `every` is not a positive integer
+	 */
+	setSampling(name, options) {
+		if (typeof name !== 'string') {
+			options = name;
+			name = null;
+		}
+
+		const sampling = samplingOptions(options);
+		if (name === null) {
+			this.sampling = sampling;
+			this.sampleCounters = {};
+		} else {
+			if (sampling) {
+				this.blockSampling[name] = sampling;
+			} else {
+				delete this.blockSampling[name];
+			}
+			delete this.sampleCounters[name];
 		}
-		return output;
+		return this;
 	}
 
 	/**
-	 * Register a ProfilerBlock with the Profiler
+	 * Set the policy for warning about slow blocks in this profiler, or for a single block.
 	 *
-	 * @method addBlock
-	 * @param {ProfilerBlock} block - the ProfilerBlock to register
+	 * @method setWarningPolicy
+	 * @param {String} [name] - The block to set the policy of.  If omitted, sets the default of all blocks in the
+	 *   profiler.
+	 * @param {WarningPolicy|Object|null} policy - A WarningPolicy, or its options: `minCount`, one of `threshold`,
+	 *   `percentile` and `sigma`, and `interval`.  Pass null to go back to the global policy, or for a single
+	 *   block, to the profiler's.
 	 * @returns {Profiler} - returns `this`
 	 */
-	addBlock(block) {
-		const { id, name } = block;
-		this.activeBlocksById.set(id, block);
-		this.activeBlocksByName[name] = block;
-
-		// deregister the block when it emits 'end'
-		block.on('end', (block) => {
-			this.removeBlock(block);
-			this.emitEnd(block);
-		});
-
-		// pass-through warnings
-		block.on('warning', this.emitWarning.bind(this));
+	setWarningPolicy(name, policy) {
+		if (typeof name !== 'string') {
+			policy = name;
+			name = null;
+		}
 
+		policy = warningPolicyOf(policy);
+		if (name === null) {
+			this.warningPolicy = policy;
+		} else if (policy) {
+			this.blockWarningPolicies[name] = policy;
+		} else {
+			delete this.blockWarningPolicies[name];
+		}
 		return this;
 	}
 
 	/**
-	 * Deregister a ProfilerBlock with the Profiler
+	 * Get the policy for warning about slow executions of a block.
 	 *
-	 * @method removeBlock
-	 * @param {ProfilerBlock} block - the ProfilerBlock to deregister
-	 * @returns {Profiler} - returns `this`
+	 * @method getWarningPolicy
+	 * @param {String} name - The name of the block.
+	 * @returns {WarningPolicy}
 	 */
-	removeBlock(block) {
-		let { id, name } = block;
-		block.finished = true;
-		this.activeBlocksById.del(id);
-		delete this.activeBlocksByName[name];
-		return this;
+	getWarningPolicy(name) {
+		return this.blockWarningPolicies[name] || this.warningPolicy || this.constructor.warningPolicy;
 	}
 
 	/**
-	 * Get a block by name or id, or pass through if called w/ a block
+	 * Decide whether to profile an execution of a block.
 	 *
-	 * @method getBlock
-	 * @param {Number|String|Object} block - Either the `id` or `name` of a block to end, or the block itself.
-	 * @return {ProfilerBlock} - the ProfilerBlock
-	 * @throws {XError} - throws if the block is not found
+	 * @method sample
+	 * @private
+	 * @param {String} name - The name of the block.
+	 * @returns {Number} - The sample rate of the block, or 0 if this execution should not be profiled.
 	 */
-	getBlock(block) {
-		if (typeof block === 'number') block = this.activeBlocksById.get(block);
-		if (typeof block === 'string') block = this.activeBlocksByName[block];
-		if (!block) return null;
-		if (block instanceof ProfilerBlock) return block;
-
-		const msg = 'Profiler#getBlock must be called w/ a ProfilerBlock or the name or id of a block';
-		throw new XError(XError.INTERNAL_ERROR, msg);
+	sample(name) {
+		const sampling = this.blockSampling[name] || this.sampling;
+		if (!sampling) return 1;
+		if (sampling.every) {
+			const counter = this.sampleCounters[name] || 0;
+			this.sampleCounters[name] = (counter + 1) % sampling.every;
+			return counter ? 0 : sampling.rate;
+		}
+		return (Math.random() < sampling.rate) ? sampling.rate : 0;
 	}
 
 	/**
-	 * Begin profiling a single block.
+	 * Get or create the stats object for the call path of a new block.  Path segments are block names,
+	 * prefixed with their namespace when it differs from this profiler's.
 	 *
-	 * @method begin
-	 * @param {String} name - The human-readable name of the block.
-	 * @param {Number} [warnThreshold] - The threshold above which to warn of blocks taking too long.
-	 * @returns {ProfilerBlock} - A block representing a single profiling segment.
+	 * @method getPathStatsFor
+	 * @private
+	 * @param {String} name - The name of the new block.
+	 * @param {ProfilerBlock} [parent] - The parent of the new block.
+	 * @returns {Object|null} - The path stats, or null if too many distinct paths are already tracked.
 	 */
-	begin(name, warnThreshold) {
-		if (!this.constructor.isEnabled()) return this.disabledBlock;
-
-		const id = ++this.idCounter;
-
-		let stats = this.stats[name];
-		if (!_.isObject(stats)) {
-			stats = {};
-			this.stats[name] = stats;
+	getPathStatsFor(name, parent) {
+		let segments = [ name ];
+		for (let block = parent; block; block = block.parent) {
+			segments.unshift(block.namespace === this.namespace ? block.name : `${block.namespace}:${block.name}`);
 		}
 
-		const block = new ProfilerBlock(id, name, { warnThreshold, stats });
-
-		this.addBlock(block);
-		this.emitBegin(block);
+		const path = segments.join(PATH_SEPARATOR);
+		let pathStats = this.pathStats[path];
+		if (!pathStats) {
+			if (_.size(this.pathStats) >= MAX_PATHS) return null;
+			pathStats = this.pathStats[path] = { segments, count: 0, sum: 0, selfSum: 0 };
+		}
+		return pathStats;
+	}
 
-		return block;
+	/**
+	 * Get or create the stats object for a block's combination of tags.
+	 *
+	 * @method getTagStatsFor
+	 * @private
+	 * @param {Object} stats - The stats of the block name.
+	 * @param {Object} [tags] - The tags of the new block.
+	 * @returns {Object|null} - The tag stats, or null if the block has no tags.
+	 */
+	getTagStatsFor(stats, tags) {
+		if (_.isEmpty(tags)) return null;
+		if (!stats.tagged) stats.tagged = {};
+
+		const key = tagSetKey(tags);
+		let tagStats = stats.tagged[key];
+		if (!tagStats) {
+			if (_.size(stats.tagged) >= this.constructor.maxTagSets) {
+				tagStats = stats.tagged[OTHER_TAGS_KEY] = stats.tagged[OTHER_TAGS_KEY] || { tags: null };
+			} else {
+				tagStats = stats.tagged[key] = { tags: _.mapValues(tags, String) };
+			}
+		}
+		return tagStats;
 	}
 
 	/**
@@ -236,12 +1187,13 @@ class Profiler extends EventEmitter {
 	 *
 	 * @method end
 	 * @param {Number|String|Object} blockData - Either the `id` or `name` of a block to end, or the block itself.
+	 * @param {Error|String} [outcome] - The error the block failed with, or the outcome 'success' or 'error'.
 	 * @returns {Object} - The aggregate data for the ended block.
 	 */
-	end(blockData) {
-		if (!this.constructor.isEnabled()) return;
-		let block = this.getBlock(blockData);
-		if (block) return block.end();
+	end(blockData, outcome) {
+		if (!this.isEnabled()) return;
+		let block = this.getBlockToEnd(blockData);
+		if (block) return block.end(outcome);
 		return null;
 	}
 
@@ -250,29 +1202,35 @@ class Profiler extends EventEmitter {
 	 * an object with the methods `step(name)` and `end()`.  `step()` can be called before each step starts, and
 	 * will automatically end the block created by the previous step.
 	 *
+	 * Tags given to the sequence are also applied to each step.
+	 *
 	 * @method sequence
 	 * @param {String} name
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
 	 * @return {Object}
 	 */
-	sequence(name, warnThreshold) {
-		if (!this.constructor.isEnabled()) {
+	sequence(name, options) {
+		if (!this.isEnabled()) {
 			return {
 				step() {},
 				end() {}
 			};
 		}
 
-		let overallBlock = this.begin(name, warnThreshold);
+		let overallBlock = this.begin(name, options);
 		let lastBlock = null;
 		let prof = this;
+		const { tags } = blockOptions(options);
 
 		return {
-			step(stepName, warnThreshold) {
+			step(stepName, stepOptions) {
 				if (lastBlock) {
 					// end last block
 					lastBlock.end();
 				}
-				lastBlock = prof.begin(name + ' step ' + stepName, warnThreshold);
+				stepOptions = blockOptions(stepOptions);
+				stepOptions.tags = _.extend({}, tags, stepOptions.tags);
+				lastBlock = prof.begin(name + ' step ' + stepName, stepOptions);
 			},
 
 			end() {
@@ -302,16 +1260,16 @@ class Profiler extends EventEmitter {
 	 * @method wrap
 	 * @param {Function|Promise} fn - The function or promise to wrap.
 	 * @param {String} name - The human-readable name of the block.
-	 * @param {Number} [warnThreshold] - The threshold above which to warn of blocks taking too long.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
 	 * @returns {Function} - The wrapped function.
 	 */
-	wrap(fn, name, warnThreshold) {
+	wrap(fn, name, options) {
 		name = name || fn.name || 'function';
 		let profiler = this;
 
 		if (fn && typeof fn.then === 'function') {
-			let block = profiler.begin(name, warnThreshold);
-			fn.then(() => block.end());
+			let block = profiler.createBlock(name, options);
+			fn.then(() => block.end(), (err) => block.fail(err));
 			return fn;
 		}
 
@@ -320,15 +1278,17 @@ class Profiler extends EventEmitter {
 		}
 
 		return function(...args) {
-			if (!profiler.constructor.isEnabled()) {
+			if (!profiler.isEnabled()) {
 				return fn.apply(this, args);
 			}
-			let block = profiler.begin(name, warnThreshold);
+			let block = profiler.createBlock(name, options);
+			if (block === profiler.disabledBlock) return fn.apply(this, args);
 			let output;
 			try {
-				output = fn.apply(this, args);
+				// Scope the block to the call so that it does not leak into the caller's async context
+				output = profiler.constructor.asyncStorage.run(block, () => fn.apply(this, args));
 			} catch (err) {
-				block.end();
+				block.fail(err);
 				throw err;
 			}
 			if (output && typeof output.then === 'function') {
@@ -336,7 +1296,7 @@ class Profiler extends EventEmitter {
 					block.end();
 					return value;
 				}, (err) => {
-					block.end();
+					block.fail(err);
 					throw err;
 				});
 			} else {
@@ -352,26 +1312,70 @@ class Profiler extends EventEmitter {
 	 * @method run
 	 * @param {String} name
 	 * @param {Function} fn
-	 * @param {Number} [warnThreshold]
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
 	 * @return {Mixed}
 	 */
-	run(name, fn, warnThreshold) {
-		let wrappedFn = this.wrap(fn, name, warnThreshold);
+	run(name, fn, options) {
+		let wrappedFn = this.wrap(fn, name, options);
 		return wrappedFn();
 	}
 
+	/**
+	 * Wrap every method of a class or object with `wrap()`.  Prototype methods of a class are named
+	 * `Class#method` and static methods `Class.method`.  Undo with `uninstrument()`.
+	 *
+	 * @method instrument
+	 * @param {Function|Object} target - A class, a prototype or a plain object.
+	 * @param {Object} [options]
+	 *   @param {String|RegExp|Array} [options.include] - Only instrument methods with these names or patterns.
+	 *   @param {String|RegExp|Array} [options.exclude] - Do not instrument methods with these names or patterns.
+	 *   @param {Boolean} [options.getters=false] - Also instrument getters.
+	 *   @param {String} [options.name] - The prefix of block names; defaults to the class name.
+	 *   @param {Number|Object} [options.blockOptions] - The warning threshold, or an object with `warnThreshold`
+	 *     and `tags`, for every method.
+	 * @returns {Function|Object} - returns `target`
+	 */
+	instrument(target, options) {
+		return instrumentation.instrument(this, target, options);
+	}
+
+	/**
+	 * Restore the methods of a class or object instrumented with `instrument()`.
+	 *
+	 * @method uninstrument
+	 * @param {Function|Object} target - A class, a prototype or a plain object.
+	 * @returns {Function|Object} - returns `target`
+	 */
+	uninstrument(target) {
+		return instrumentation.uninstrument(target);
+	}
+
+	/**
+	 * Create a method decorator that profiles the method with `wrap()`, for both legacy (TypeScript and Babel)
+	 * and standard decorators.
+	 *
+	 * @method profiled
+	 * @param {String} [name] - The block name.  Defaults to `Class#method` or `Class.method`; standard decorators
+	 *   do not know the class, so get `#method` or `.method`.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
+	 * @returns {Function}
+	 */
+	profiled(name, options) {
+		return instrumentation.profiled(this, name, options);
+	}
+
 	/**
 	 * Returns a function which begins a specified profile and returns the input argument.
 	 * Especially useful inside a promise chain, as it preserves the previous return.
 	 *
 	 * @method wrappedBegin
 	 * @param {String} name - The human-readable name of the block.
-	 * @param {Number} [warnThreshold] - The threshold above which to warn of blocks taking too long.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
 	 * @returns {Function} - Function begining the specified profile.
 	 */
-	wrappedBegin(name, warnThreshold) {
+	wrappedBegin(name, options) {
 		return (param) => {
-			this.begin(name, warnThreshold);
+			this.begin(name, options);
 			return param;
 		};
 	}
@@ -386,7 +1390,7 @@ class Profiler extends EventEmitter {
 	 */
 	wrappedEnd(blockData) {
 		return (param) => {
-			let block = this.getBlock(blockData);
+			let block = this.getBlockToEnd(blockData);
 			if (block) block.end();
 			return param;
 		};
@@ -401,12 +1405,201 @@ class Profiler extends EventEmitter {
 	 */
 	wrappedEndError(blockData) {
 		return (err) => {
-			let block = this.getBlock(blockData);
-			if (block) block.end();
+			let block = this.getBlockToEnd(blockData);
+			if (block) block.fail(err);
 			throw err;
 		};
 	}
 
+	/**
+	 * Profile a Node-style function that takes a callback as its last argument.  Returns a function equivalent
+	 * to the given function, but with the profiler wrapped around it, ending when the callback is called.  An
+	 * error passed to the callback, or thrown by the function, is kept as the block's `error`.
+	 *
+	 * If the wrapped function is called without a callback, it is not profiled.
+	 *
+	 * @method wrapCallback
+	 * @param {Function} fn - The function to wrap.
+	 * @param {String} [name] - The human-readable name of the block.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`.
+	 * @returns {Function} - The wrapped function.
+	 */
+	wrapCallback(fn, name, options) {
+		name = name || fn.name || 'function';
+		let profiler = this;
+
+		return function(...args) {
+			const callback = args[args.length - 1];
+			if (typeof callback !== 'function' || !profiler.isEnabled()) {
+				return fn.apply(this, args);
+			}
+			let block = profiler.createBlock(name, options);
+			if (block === profiler.disabledBlock) return fn.apply(this, args);
+
+			let hasEnded = false;
+			const end = (err) => {
+				if (hasEnded) return;
+				hasEnded = true;
+				if (err) {
+					block.fail(err);
+				} else {
+					block.end();
+				}
+			};
+			args[args.length - 1] = function(...results) {
+				end(results[0]);
+				return callback.apply(this, results);
+			};
+			try {
+				// Scope the block to the call so that it does not leak into the caller's async context
+				return profiler.constructor.asyncStorage.run(block, () => fn.apply(this, args));
+			} catch (err) {
+				end(err);
+				throw err;
+			}
+		};
+	}
+
+	/**
+	 * Profile an operation from now until an event emitter, such as a stream or a request, fires one of a set of
+	 * events.  An error event is kept as the block's `error`.
+	 *
+	 * If the emitter has no other listeners for an error event, the error is thrown as if it had no listeners
+	 * at all.
+	 *
+	 * @method trackEmitter
+	 * @param {EventEmitter} emitter - The emitter to track.
+	 * @param {String} name - The human-readable name of the block.
+	 * @param {Object} [options] - `warnThreshold` and `tags` for the block, plus:
+	 *   @param {String[]} [options.events=[ 'finish', 'end', 'close' ]] - The events that end the operation.
+	 *   @param {String[]} [options.errorEvents=[ 'error' ]] - The events that end the operation with an error.
+	 * @returns {ProfilerBlock} - The block, which ends on the first of the events.
+	 */
+	trackEmitter(emitter, name, options = {}) {
+		const { events = [ 'finish', 'end', 'close' ], errorEvents = [ 'error' ] } = options;
+		const block = this.createBlock(name, _.omit(options, [ 'events', 'errorEvents' ]));
+		if (block === this.disabledBlock) return block;
+
+		let listeners = [];
+		const removeListeners = () => {
+			for (let [ event, listener ] of listeners) emitter.removeListener(event, listener);
+		};
+		for (let event of events) {
+			const listener = () => {
+				removeListeners();
+				block.end();
+			};
+			listeners.push([ event, listener ]);
+		}
+		for (let event of errorEvents) {
+			const listener = (err) => {
+				removeListeners();
+				const error = err || new XError(XError.INTERNAL_ERROR, `${name} emitted ${event}`);
+				block.fail(error);
+				// Without other listeners, an error event would have thrown
+				if (event === 'error' && !emitter.listenerCount(event)) throw error;
+			};
+			listeners.push([ event, listener ]);
+		}
+		for (let [ event, listener ] of listeners) emitter.on(event, listener);
+		return block;
+	}
+
+	/**
+	 * Profile iterations over a sync or async iterable, such as a Node stream or a database cursor.  Each pass
+	 * over the returned async iterable is profiled as a block from its first `next()` until it is done, fails or
+	 * is exited early.  The time to the first item and the time each `next()` took to produce an item are recorded
+	 * in the related `<name> (first item)` and `<name> (per item)` stats, and the stats of the block get the
+	 * number of `items` and `bytes`, and the `itemsPerSecond` and `bytesPerSecond` throughput.
+	 *
+	 * @method wrapIterable
+	 * @param {Iterable|AsyncIterable} iterable - The iterable to profile.
+	 * @param {String} name - The human-readable name of the block.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`, plus:
+	 *   @param {Function} [options.size] - Get the size in bytes of an item.  By default, buffers and strings are
+	 *     counted by their length, and other items as 0 bytes.
+	 * @returns {AsyncIterable}
+	 */
+	wrapIterable(iterable, name, options) {
+		let profiler = this;
+		return {
+			[Symbol.asyncIterator]() {
+				const isAsync = !!iterable[Symbol.asyncIterator];
+				const iterator = isAsync ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]();
+				const meter = new ThroughputMeter(profiler, name, options);
+				const settle = (method, args, onResult) => {
+					if (!iterator[method]) return null;
+					return new Promise((resolve) => resolve(iterator[method].apply(iterator, args)))
+						.then((result) => {
+							// `for await` awaits the values of sync iterators
+							if (isAsync || result.done) return result;
+							return Promise.resolve(result.value).then((value) => ({ done: false, value }));
+						})
+						.then(onResult, (err) => {
+							meter.end(err);
+							throw err;
+						});
+				};
+				return {
+					next(...args) {
+						meter.start();
+						const startTime = performance.now();
+						return settle('next', args, (result) => {
+							if (result.done) {
+								meter.end();
+							} else {
+								meter.item(result.value, performance.now() - startTime);
+							}
+							return result;
+						});
+					},
+					return(value) {
+						meter.end();
+						const returned = settle('return', [ value ], (result) => result);
+						return returned || Promise.resolve({ done: true, value });
+					},
+					throw(err) {
+						meter.end(err);
+						return settle('throw', [ err ], (result) => result) || Promise.reject(err);
+					}
+				};
+			}
+		};
+	}
+
+	/**
+	 * Create a pass-through stream that profiles the data flowing through it.  The stream is profiled as a block
+	 * from its creation until it ends or fails, with the same related stats as `wrapIterable()`; the latency of
+	 * each chunk is the time since the previous chunk, or since the start for the first.
+	 *
+	 * @method streamMeter
+	 * @param {String} name - The human-readable name of the block.
+	 * @param {Number|Object} [options] - The warning threshold, or an object with `warnThreshold` and `tags`, plus:
+	 *   @param {Function} [options.size] - Get the size in bytes of a chunk.  By default, buffers and strings are
+	 *     counted by their length, and other chunks as 0 bytes.
+	 *   @param {Boolean} [options.objectMode=false] - Whether the stream passes through objects.
+	 * @returns {stream.Transform}
+	 */
+	streamMeter(name, options = {}) {
+		const meter = new ThroughputMeter(this, name, _.isNumber(options) ? options : _.omit(options, 'objectMode'));
+		meter.start();
+		const stream = new Transform({
+			objectMode: !!options.objectMode,
+			transform(chunk, encoding, callback) {
+				meter.item(chunk);
+				callback(null, chunk);
+			},
+			flush(callback) {
+				meter.end();
+				callback();
+			}
+		});
+		stream.on('error', (err) => meter.end(err));
+		// A stream destroyed before it ends never flushes
+		stream.on('close', () => meter.end());
+		return stream;
+	}
+
 	/**
 	 * Emit and store a 'begin' event for a given block.
 	 *
@@ -416,8 +1609,7 @@ class Profiler extends EventEmitter {
 	 * @returns {Profiler}
 	 */
 	emitBegin(block) {
-		this.events.push(`begin '${block.name}'`);
-		this.events.shift();
+		this.events.push(historyRecord('begin', block));
 		this.emit('begin', block);
 		this.constructor.emitter.emit('begin', this.namespace, block);
 
@@ -434,25 +1626,79 @@ class Profiler extends EventEmitter {
 	 * @returns {Profiler}
 	 */
 	emitEnd(block) {
-		this.events.push(`end '${block.name}' (${block.duration})`);
-		this.events.shift();
+		this.events.push(historyRecord('end', block));
 		this.emit('end', block, block.stats);
 		this.constructor.emitter.emit('end', this.namespace, block, block.stats);
 
 		return this;
 	}
 
+	/**
+	 * Get the blocks of the profiler that are in flight, oldest first.  Each is described by its `id`, `name`,
+	 * `namespace`, `tags`, `age` in ms, `startedOn` date, the `parent` it was begun in (an object with the
+	 * `namespace`, `name` and `id` of the parent block), and when captured by leak detection, the `stack` it was
+	 * begun from and its `origin`, the first line of the stack.
+	 *
+	 * @method getActiveBlocks
+	 * @param {Object} [options]
+	 *   @param {Number} [options.minAge=0] - Only include blocks that have been in flight for at least this long.
+	 * @returns {Object[]}
+	 */
+	getActiveBlocks({ minAge = 0 } = {}) {
+		const now = performance.now();
+		const blocks = _.flatten(_.values(this.activeBlocksByName))
+			.filter((block) => now - block.startTime >= minAge);
+		return _.sortBy(blocks, 'startTime').map((block) => describeBlock(block, now));
+	}
+
+	/**
+	 * Report the blocks in flight for longer than `maxAge` that were not reported yet.
+	 *
+	 * @method detectLeaks
+	 * @private
+	 * @param {Number} maxAge - in ms
+	 * @returns {Object[]} - The new leaks.
+	 */
+	detectLeaks(maxAge) {
+		const now = performance.now();
+		let leaks = [];
+		for (let block of _.flatten(_.values(this.activeBlocksByName))) {
+			if (block.leaked || now - block.startTime < maxAge) continue;
+			leaks.push(this.emitLeak(block, 'age', now));
+		}
+		return leaks;
+	}
+
+	/**
+	 * Emit a 'leak' event for a block that has likely leaked.  The leak is described as by `getActiveBlocks()`,
+	 * plus the `reason` it was detected: 'age' when it exceeded the maximum age, or 'evicted' when it was dropped.
+	 *
+	 * @method emitLeak
+	 * @private
+	 * @param {ProfilerBlock} block
+	 * @param {String} reason
+	 * @param {Number} [now=performance.now()]
+	 * @returns {Object} - The leak.
+	 */
+	emitLeak(block, reason, now = performance.now()) {
+		block.leaked = true;
+		const leak = _.extend({ reason }, describeBlock(block, now));
+		this.emit('leak', leak);
+		this.constructor.emitter.emit('leak', this.namespace, leak);
+		return leak;
+	}
+
 	/**
 	 * Emit and store a 'warning' event for a given block.
 	 *
 	 * @method emitWarning
 	 * @private
 	 * @param {XError} warning - The warning to emit
+	 * @param {ProfilerBlock} block - The block that was warned about.
 	 * @returns {Profiler}
 	 */
-	emitWarning(warning) {
-		this.warnings.push(warning);
-		this.warnings.shift();
+	emitWarning(warning, block) {
+		this.warnings.push(_.extend(historyRecord('warning', block), { warning }));
 		this.emit('warning', warning);
 		this.constructor.emitter.emit('warning', this.namespace, warning);
 
@@ -462,100 +1708,448 @@ class Profiler extends EventEmitter {
 	/**
 	 * Get all stats of the profiler, or optionally stats of a given block.
 	 *
+	 * When `tags` or `groupBy` are given, the stats are computed from the blocks that were begun with tags:
+	 * `tags` selects the tag combinations to include, and `groupBy` splits the result by the values of the
+	 * given tags, keyed like 'method=GET'.  Blocks counted under the '(other)' combination are not included.
+	 *
+	 * When `window` is given, the stats only cover blocks that ended within that recent window, and do not
+	 * include percentiles.
+	 *
 	 * @method getStats
 	 * @param {String} [name] - The block for which to retrieve stats.
+	 * @param {Object} [options]
+	 *   @param {Object} [options.tags] - Only include blocks with these tag values.
+	 *   @param {String|String[]} [options.groupBy] - Group by the values of these tags.
+	 *   @param {String|Number} [options.window] - Only include the last '1m', '5m' or '15m', or a length in ms.
+	 *   @param {String} [options.outcome] - Only include blocks that ended with this outcome, 'success' or 'error'.
 	 * @returns {Object}
 	 */
-	getStats(name) {
+	getStats(name, options) {
+		if (_.isPlainObject(name)) {
+			options = name;
+			name = undefined;
+		}
 		if (typeof name === 'number') {
 			let block = this.activeBlocksById.get(name);
 			name = block && block.name;
 		}
+		if (options && (options.tags || options.groupBy || options.window || options.outcome)) {
+			if (name) return this.stats[name] && selectStats(this.stats[name], options);
+			return _.mapValues(_.omitBy(this.stats, 'isHidden'), (stat) => selectStats(stat, options));
+		}
 		if (name) return this.stats[name];
 		return this.stats;
 	}
 
 	/**
-	 * Get all events of the profiler.
+	 * Get the call path stats of the profiler, keyed by path.  Each path stats object has the path
+	 * `segments`, `count`, inclusive duration `sum`, and `selfSum`, the duration not spent in child blocks.
+	 *
+	 * @method getPathStats
+	 * @returns {Object}
+	 */
+	getPathStats() {
+		return this.pathStats;
+	}
+
+	/**
+	 * Get the recent events of the profiler, oldest first.  Each block adds a 'begin' event when it begins and an
+	 * 'end' event when it ends.  An event is an object with the `type`, the block's `namespace`, `name`, `id` and
+	 * `tags`, the `time` it happened, and the block's `startTime` (monotonic, in ms) and `startedOn` date; 'end'
+	 * events also have the `endTime`, `endedOn`, `duration` and `outcome` of the block.
+	 *
+	 * Only the last `Profiler.historySize` events are kept; see `setHistorySize()`.
 	 *
 	 * @method getEvents
-	 * @returns {Array}
+	 * @param {Object} [query]
+	 *   @param {String} [query.type] - Only include events of this type.
+	 *   @param {String|RegExp} [query.name] - Only include events of the block with this name, or whose name
+	 *     matches this expression.
+	 *   @param {Object} [query.tags] - Only include events of blocks with these tag values.
+	 *   @param {Date|Number} [query.since] - Only include events that happened at or after this time.
+	 *   @param {Date|Number} [query.until] - Only include events that happened at or before this time.
+	 *   @param {Number} [query.minDuration] - Only include events of blocks that took at least this long, in ms.
+	 *   @param {Number} [query.limit] - Only include this many of the most recent matching events.
+	 * @returns {Object[]}
 	 */
-	getEvents() {
-		return _.filter(this.events);
+	getEvents(query) {
+		return queryHistory(this.events, query);
 	}
 
 	/**
-	 * Get all warnings of the profiler.
+	 * Get the recent warnings of the profiler, oldest first.  A warning is described like an 'end' event, of type
+	 * 'warning', with the XError emitted as `warning`.
 	 *
 	 * @method getWarnings
-	 * @returns {Array}
+	 * @param {Object} [query] - Filters as for `getEvents()`.
+	 * @returns {Object[]}
+	 */
+	getWarnings(query) {
+		return queryHistory(this.warnings, query);
+	}
+
+	/**
+	 * Set the number of recent events, and separately of warnings, kept by this profiler.  The newest are kept
+	 * when shrinking the history.
+	 *
+	 * @method setHistorySize
+	 * @param {Number} size
+	 * @returns {Profiler} - returns `this`
+	 * @throws {XError} - throws if the size is not a non-negative integer
 	 */
-	getWarnings() {
-		return _.filter(this.warnings);
+	setHistorySize(size) {
+		validateHistorySize(size);
+		this.events.resize(size);
+		this.warnings.resize(size);
+		return this;
 	}
 
 	/**
-	 * Get a string table output of the useful stats for all blocks in the profiler.
+	 * Get an output of the useful stats for all blocks in the profiler, by default as a text table sorted by the
+	 * total duration of each block.
 	 *
 	 * @method dumpStats
+	 * @param {Object} [options]
+	 *   @param {String} [options.format='table'] - 'table', 'csv', 'markdown', 'json', or a format added with
+	 *     `Profiler.registerFormatter()`.
+	 *   @param {String} [options.sortBy='sum'] - Sort by this column, ie. 'average' or 'p99', or by 'name'.
+	 *   @param {String[]} [options.columns] - The names or keys of the columns to include; defaults to all columns
+	 *     except the optional resource usage columns 'cpu user', 'cpu system', 'heap' and 'loop delay', and the
+	 *     throughput columns 'items', 'bytes', 'items/s' and 'bytes/s' unless a block has recorded items.
+	 *   @param {Function|RegExp} [options.filter] - Only include blocks for which this returns true when called
+	 *     with an object with the `namespace`, `name` and `stat` of the block, or whose name matches this expression.
+	 *   @param {Number} [options.minCount] - Only include blocks that ran at least this many times.
+	 *   @param {Number} [options.minSum] - Only include blocks that took at least this long in total, in ms.
+	 *   @param {Number} [options.limit] - Only include this many blocks, after sorting.
+	 *   @param {String} [options.units='auto'] - The unit of durations: 'us', 'ms' or 's', or 'auto' for a readable
+	 *     unit for each duration in text formats, and ms in CSV and JSON.
+	 *   @param {Boolean} [options.tree=false] - Show stats per call path as a tree instead of per block name.  Only
+	 *     for the table format.
+	 *   @param {Object} [options.tags] - Only include blocks with these tag values.
+	 *   @param {String|String[]} [options.groupBy] - Show a row for each value of these tags.
+	 *   @param {String|Number} [options.window] - Only include the last '1m', '5m' or '15m', or a length in ms.
+	 *   @param {String} [options.outcome] - Only include blocks that ended with this outcome, 'success' or 'error'.
 	 * @returns {String}
+	 * @throws {XError} - throws if the format, a column or the units are not recognized
 	 */
-	dumpStats() {
-		let table = new Table();
+	dumpStats(options = {}) {
+		return formatStats([ this.statsSection(options) ], options);
+	}
 
-		let stats = this.getStats();
-		for (let statName of _.keys(stats).sort()) {
-			const stat = stats[statName];
+	/**
+	 * Get the section of the profiler in a stats dump.
+	 *
+	 * @method statsSection
+	 * @private
+	 * @param {Object} options - Options as for `dumpStats()`.
+	 * @returns {Object} - An object with the `namespace`, `title`, `rows` and `events` of the profiler, or the
+	 *   `callTree` table instead of `rows` with the `tree` option.
+	 * @throws {XError} - throws if the `tree` option is given for a format other than a table
+	 */
+	statsSection(options) {
+		const { namespace } = this;
+		let title = options.window ? `${namespace} (last ${options.window})` : namespace;
+		if (options.outcome) title += ` (${options.outcome})`;
+		let section = { namespace, title, events: this.getEvents() };
+		if (options.tree) {
+			if (options.format && options.format !== 'table') {
+				throw new XError(XError.INVALID_ARGUMENT, 'Call trees can only be dumped as a table');
+			}
+			section.callTree = this.dumpCallTree();
+		} else {
+			section.rows = blockRows(namespace, this.getStats(), options);
+		}
+		return section;
+	}
 
-			if (stat.isHidden) continue;
+	/**
+	 * Get a string table of the stats of each call path, indented as a tree.  Siblings are sorted by
+	 * inclusive time.
+	 *
+	 * @method dumpCallTree
+	 * @private
+	 * @returns {String}
+	 */
+	dumpCallTree() {
+		let root = { children: {} };
+		_.forEach(this.pathStats, (pathStats) => {
+			let node = root;
+			for (let segment of pathStats.segments) {
+				if (!node.children[segment]) node.children[segment] = { children: {} };
+				node = node.children[segment];
+			}
+			node.stats = pathStats;
+		});
 
-			table.cell('name', statName);
-			table.cell('sum', stat.sum, displayDuration);
-			table.cell('average', stat.avg, displayDuration);
-			table.cell('std. dev.', stat.std, displayDuration);
-			table.cell('min', stat.min, displayDuration);
-			table.cell('max', stat.max, displayDuration);
-			table.cell('range', stat.max - stat.min, displayDuration);
-			table.cell('count', stat.count, Table.number());
-			table.newRow();
-		}
+		let table = new Table();
+		const addRows = (node, depth) => {
+			const children = _.sortBy(_.toPairs(node.children), ([ , child ]) => -(child.stats ? child.stats.sum : 0));
+			for (let [ segment, child ] of children) {
+				// Ancestors from other namespaces have no stats in this profiler
+				const { stats } = child;
+				table.cell('path', `${_.repeat('  ', depth)}${segment}`);
+				table.cell('inclusive', stats && stats.sum, displayDuration);
+				table.cell('self', stats && stats.selfSum, displayDuration);
+				table.cell('average', stats && stats.count ? stats.sum / stats.count : null, displayDuration);
+				table.cell('count', stats && stats.count, Table.number());
+				table.newRow();
+				addRows(child, depth + 1);
+			}
+		};
+		addRows(root, 0);
+
+		return table.rows.length ? `${table}` : '';
+	}
+
+	/**
+	 * Get an ASCII histogram of the duration distribution of a single block.
+	 *
+	 * @method dumpHistogram
+	 * @param {String} name - The block to render.
+	 * @param {Object} [options]
+	 *   @param {Number} [options.rows=20] - The maximum number of histogram lines.
+	 *   @param {Number} [options.width=40] - The width of the longest bar.
+	 * @returns {String}
+	 */
+	dumpHistogram(name, { rows, width } = {}) {
+		const stat = this.getStats(name);
+		if (!stat || !stat.histogram) return '';
+		const histogram = stat.histogram.toAscii({ rows, width, format: displayDuration });
+		return `\n================================\n${this.namespace} ${name}:\n\n${histogram}`;
+	}
 
-		table.sort([ 'sum|des' ]);
+}
 
-		let tableOutput = `${table}`;
+/**
+ * Normalize the options argument of `begin()` and friends, which may also be just a warning threshold.
+ *
+ * @param {Number|Object} [options]
+ * @returns {Object}
+ */
+function blockOptions(options) {
+	if (typeof options === 'number') return { warnThreshold: options };
+	return _.clone(options) || {};
+}
 
-		let eventOutput = this.getEvents().join('\n');
-		if (eventOutput) eventOutput = `recent events:\n${eventOutput}`;
+/**
+ * Describe an in-flight block for `getActiveBlocks()` and leak reports.
+ *
+ * @param {ProfilerBlock} block
+ * @param {Number} now - The current monotonic time.
+ * @returns {Object}
+ */
+function describeBlock(block, now) {
+	const { id, name, namespace, tags, startedOn, stack, parent } = block;
+	return {
+		id,
+		name,
+		namespace,
+		tags,
+		age: now - block.startTime,
+		startedOn,
+		parent: parent ? { namespace: parent.namespace, name: parent.name, id: parent.id } : null,
+		origin: stack ? stack.split('\n')[0] : null,
+		stack
+	};
+}
 
-		let output = `\n================================\n${this.namespace}:\n\n`;
-		if (tableOutput) output += `${tableOutput}\n`;
-		if (eventOutput) output += `${eventOutput}\n`;
-		return output;
+/**
+ * Describe a block for the event history.
+ *
+ * @param {String} type - 'begin', 'end' or 'warning'.
+ * @param {ProfilerBlock} block
+ * @returns {Object}
+ */
+function historyRecord(type, block) {
+	const { namespace, name, id, tags, startTime, startedOn } = block;
+	let record = { type, namespace, name, id, tags, time: startedOn, startTime, startedOn };
+	if (type !== 'begin') {
+		const { endTime, endedOn, duration, outcome } = block;
+		_.extend(record, { time: endedOn, endTime, endedOn, duration, outcome });
 	}
+	return record;
+}
+
+/**
+ * Select records from an event history.
+ *
+ * @param {RingBuffer} history
+ * @param {Object} [query] - Filters as for `Profiler#getEvents()`.
+ * @returns {Object[]}
+ */
+function queryHistory(history, { type, name, tags, since, until, minDuration, limit } = {}) {
+	const records = history.toArray().filter((record) => {
+		if (type !== undefined && record.type !== type) return false;
+		if (_.isRegExp(name) && !name.test(record.name)) return false;
+		if (typeof name === 'string' && record.name !== name) return false;
+		if (tags && !_.every(tags, (value, key) => _.has(record.tags, key) && `${record.tags[key]}` === `${value}`)) {
+			return false;
+		}
+		if (since !== undefined && record.time < since) return false;
+		if (until !== undefined && record.time > until) return false;
+		if (minDuration !== undefined && !(record.duration >= minDuration)) return false;
+		return true;
+	});
+	return limit === undefined ? records : _.takeRight(records, limit);
+}
 
+/**
+ * @param {Mixed} size
+ * @throws {XError} - throws if the size is not a non-negative integer
+ */
+function validateHistorySize(size) {
+	if (!Number.isInteger(size) || size < 0) {
+		throw new XError(XError.INVALID_ARGUMENT, `Invalid history size: ${size}`);
+	}
 }
 
-function displayDuration(value) {
-	if (!Number.isFinite(value)) return `${value}`;
+/**
+ * Capture the current call stack, without the frames of the profiler itself.
+ *
+ * @returns {String} - The stack frames, one per line, ie. 'at handler (/app/server.js:10:5)'.
+ */
+function captureStack() {
+	let holder = {};
+	const { stackTraceLimit } = Error;
+	// Leave room for the frames of the profiler that are dropped
+	Error.stackTraceLimit = stackTraceLimit + 10;
+	try {
+		Error.captureStackTrace(holder, captureStack);
+	} finally {
+		Error.stackTraceLimit = stackTraceLimit;
+	}
+	return holder.stack.split('\n')
+		.slice(1)
+		.map((line) => line.trim())
+		.filter((line) => line && !line.includes(__dirname))
+		.join('\n');
+}
 
-	if (value < 1000) return `${Math.round(value)}ms`;
-	if (value < 60000) {
-		let secs = value / 1000;
-		return `${secs.toFixed(2)}s`;
+/**
+ * Normalize the options of `setSampling()`.
+ *
+ * @param {Number|Object|null} options
+ * @returns {Object|null} - An object with the sample `rate`, and `every` for every Nth execution sampling.
+ */
+function samplingOptions(options) {
+	if (options === null || options === undefined) return null;
+	if (typeof options === 'number') options = { rate: options };
+
+	const { rate, every } = options;
+	if (every !== undefined) {
+		if (!Number.isInteger(every) || every < 1) {
+			throw new XError(XError.INVALID_ARGUMENT, `Sampling every must be a positive integer: ${every}`);
+		}
+		return { every, rate: 1 / every };
 	}
+	if (!(rate > 0 && rate <= 1)) throw new XError(XError.INVALID_ARGUMENT, `Sample rate must be in (0, 1]: ${rate}`);
+	return { rate };
+}
+
+/**
+ * Normalize the policy argument of `setWarningPolicy()`.
+ *
+ * @param {WarningPolicy|Object|null} policy
+ * @returns {WarningPolicy|null}
+ */
+function warningPolicyOf(policy) {
+	if (policy === null || policy === undefined) return null;
+	return (policy instanceof WarningPolicy) ? policy : new WarningPolicy(policy);
+}
+
+/**
+ * Get a stable key for a set of tags, ie. 'method=GET,tenant=foo'.
+ *
+ * @param {Object} tags
+ * @returns {String}
+ */
+function tagSetKey(tags) {
+	return _.keys(tags).sort().map((key) => `${key}=${tags[key]}`).join(',');
+}
 
-	let mins = Math.floor(value / 60000);
-	let secs = Math.floor((value - mins * 60000) / 1000);
-	if (secs < 10) secs = `0${secs}`;
+/**
+ * Get the stats rows of each block name for a stats dump.
+ *
+ * @param {String} namespace
+ * @param {Object} stats - A map from block name to stats.
+ * @param {Object} [options] - `tags`, `groupBy`, `window` and `outcome` options as for `Profiler#getStats()`.
+ * @returns {Object[]} - Objects with the `namespace`, `name` and `stat` of each row.
+ */
+function blockRows(namespace, stats, { tags, groupBy, window, outcome } = {}) {
+	let rows = [];
+	for (let statName of _.keys(stats).sort()) {
+		const stat = stats[statName];
+
+		if (stat.isHidden) continue;
+
+		if (groupBy) {
+			_.forEach(selectStats(stat, { tags, groupBy, window, outcome }), (groupStat, key) => {
+				rows.push({ namespace, name: `${statName} {${key}}`, stat: groupStat });
+			});
+		} else if (tags || window || outcome) {
+			const selectedStat = selectStats(stat, { tags, window, outcome });
+			if (selectedStat.count) rows.push({ namespace, name: statName, stat: selectedStat });
+		} else {
+			rows.push({ namespace, name: statName, stat });
+		}
+	}
+	return rows;
+}
 
-	return `${mins}:${secs}`;
+/**
+ * Select the stats of a block for a recent window, an outcome and/or the tag combinations that match a filter,
+ * optionally grouped by tag values.
+ *
+ * @param {Object} stats - The stats of a block name.
+ * @param {Object} options
+ *   @param {Object} [options.tags] - Only include tag combinations with these values.
+ *   @param {String|String[]} [options.groupBy] - Group by the values of these tags.
+ *   @param {String|Number} [options.window] - Only include this recent window.
+ *   @param {String} [options.outcome] - Only include this outcome, 'success' or 'error'.
+ * @returns {Object} - The selected stats, or a map from group key to selected stats.
+ * @throws {XError} - throws if the outcome is not recognized
+ */
+function selectStats(stats, { tags, groupBy, window, outcome }) {
+	if (outcome && !_.includes(OUTCOMES, outcome)) {
+		throw new XError(XError.INVALID_ARGUMENT, `Unrecognized outcome: ${outcome}`);
+	}
+	const select = (selected) => {
+		if (outcome) selected = (selected.outcomes && selected.outcomes[outcome]) || initStats({});
+		return window ? windowStats(selected, window) : selected;
+	};
+	if (!tags && !groupBy) return select(stats);
+
+	const tagged = _.filter(stats.tagged, (tagStats) => {
+		return tagStats.tags && _.every(tags, (value, key) => tagStats.tags[key] === `${value}`);
+	});
+	if (!groupBy) return combineStats(tagged.map(select));
+
+	const groupTags = _.castArray(groupBy);
+	const groups = _.groupBy(tagged, (tagStats) => tagSetKey(_.pick(tagStats.tags, groupTags)));
+	return _.mapValues(groups, (group) => combineStats(group.map(select)));
 }
 
 Profiler.emitter = new EventEmitter();
 Profiler.stats = {};
+Profiler.pathStats = {};
+Profiler.maxTagSets = 100;
+Profiler.warningPolicy = new WarningPolicy();
+Profiler.asyncStorage = new AsyncLocalStorage();
+Profiler.begunStorage = new AsyncLocalStorage();
 Profiler.events = {};
 Profiler.warnings = {};
-Profiler.disable();
+Profiler.historySize = 10;
+Profiler.signalHandler = null;
+Profiler.traceRecorder = null;
+Profiler.autosave = null;
+Profiler.reporter = null;
+Profiler.aggregator = null;
+Profiler.leakDetection = null;
+Profiler.resourceMonitor = null;
+if (process.env.SIMPROF) {
+	Profiler.enable(process.env.SIMPROF);
+} else {
+	Profiler.disable();
+}
 
 module.exports = Profiler;
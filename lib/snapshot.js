@@ -0,0 +1,263 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const Table = require('easy-table');
+const { initStats, mergeStats } = require('./stats');
+const { displayDuration } = require('./format');
+
+const SNAPSHOT_VERSION = 1;
+const CONCURRENCY_KEYS = [ 'inFlight', 'peakConcurrency' ];
+
+/**
+ * Get a plain, JSON-serializable copy of a stats object.  Infinite `min` and `max` (no samples) become null.
+ *
+ * @param {Object} stats
+ * @returns {Object}
+ */
+function serializeStats(stats) {
+	let serialized = {
+		count: stats.count,
+		sum: stats.sum,
+		sumSq: stats.sumSq,
+		min: Number.isFinite(stats.min) ? stats.min : null,
+		max: Number.isFinite(stats.max) ? stats.max : null,
+		warningCount: stats.warningCount || 0,
+		errorCount: stats.errorCount || 0,
+		inFlight: stats.inFlight || 0,
+		peakConcurrency: stats.peakConcurrency || 0
+	};
+	if (stats.sampled) serialized.sampled = true;
+	if (_.isNumber(stats.items)) _.extend(serialized, { items: stats.items, bytes: stats.bytes });
+	if (stats.errorCodes) serialized.errorCodes = _.clone(stats.errorCodes);
+	if (stats.outcomes) serialized.outcomes = _.mapValues(stats.outcomes, serializeStats);
+	if (stats.resources) {
+		const { count, cpuUser, cpuSystem, heapDelta, loopDelay, loopDelaySamples } = stats.resources;
+		serialized.resources = { count, cpuUser, cpuSystem, heapDelta, loopDelay, loopDelaySamples };
+	}
+	if (stats.histogram) serialized.histogram = stats.histogram.toJSON();
+	if (stats.tagged) {
+		serialized.tagged = _.mapValues(stats.tagged, (tagStats) => {
+			return _.extend({ tags: tagStats.tags }, serializeStats(tagStats));
+		});
+	}
+	return serialized;
+}
+
+/**
+ * Create a snapshot of the stats of several namespaces.  Hidden stats are left out.
+ *
+ * @param {Object} statsByNamespace - a map from namespace to a map from block name to stats object
+ * @returns {Object} - an object with `version`, `createdOn` (an ISO date string), `pid` and `namespaces`,
+ *   a map from namespace to a map from block name to serialized stats
+ */
+function createSnapshot(statsByNamespace) {
+	return {
+		version: SNAPSHOT_VERSION,
+		createdOn: new Date().toISOString(),
+		pid: process.pid,
+		namespaces: _.mapValues(statsByNamespace, (stats) => {
+			return _.mapValues(_.omitBy(stats, 'isHidden'), serializeStats);
+		})
+	};
+}
+
+/**
+ * Add serialized stats, including their tagged stats, to a live stats object
+ *
+ * @param {Object} stats - an initialized stats object
+ * @param {Object} serialized - stats as returned by `serializeStats()`
+ * @param {Object} [options]
+ *   @param {Boolean} [options.concurrency=true] - whether to add the `inFlight` and `peakConcurrency` counts; these
+ *     only make sense for stats of processes that are still running
+ * @returns {Object} - returns `stats`
+ */
+function mergeSerializedStats(stats, serialized, { concurrency = true } = {}) {
+	const strip = (source) => (concurrency ? source : _.omit(source, CONCURRENCY_KEYS));
+	mergeStats(stats, strip(serialized));
+	_.forEach(serialized.tagged, (serializedTagStats, key) => {
+		if (!stats.tagged) stats.tagged = {};
+		if (!stats.tagged[key]) stats.tagged[key] = initStats({ tags: serializedTagStats.tags });
+		mergeStats(stats.tagged[key], strip(serializedTagStats));
+	});
+	return stats;
+}
+
+/**
+ * Create a live stats object, with percentile getters, from serialized stats
+ *
+ * @param {Object} serialized - stats as returned by `serializeStats()`
+ * @returns {Object}
+ */
+function deserializeStats(serialized) {
+	return mergeSerializedStats(initStats({}), serialized);
+}
+
+/**
+ * Create live stats objects for all blocks of a snapshot
+ *
+ * @param {Object} snapshot
+ * @returns {Object} - a map from namespace to a map from block name to stats object
+ */
+function deserializeSnapshot(snapshot) {
+	return _.mapValues(snapshot.namespaces, (blocks) => _.mapValues(blocks, deserializeStats));
+}
+
+/**
+ * Combine several snapshots, such as those of the processes on many hosts, into one.
+ *
+ * @param {Object[]} snapshots
+ * @returns {Object}
+ */
+function mergeSnapshots(snapshots) {
+	let statsByNamespace = {};
+	for (let snapshot of snapshots) {
+		_.forEach(snapshot.namespaces, (blocks, namespace) => {
+			if (!statsByNamespace[namespace]) statsByNamespace[namespace] = {};
+			_.forEach(blocks, (serialized, name) => {
+				if (!statsByNamespace[namespace][name]) statsByNamespace[namespace][name] = initStats({});
+				mergeSerializedStats(statsByNamespace[namespace][name], serialized);
+			});
+		});
+	}
+	return createSnapshot(statsByNamespace);
+}
+
+/**
+ * Convert a snapshot to the Trace Event format, for a visual overview of where time was spent.  Snapshots do not
+ * keep individual blocks, so each namespace is drawn as a thread with one event per block name, as long as the
+ * total time spent in that block, laid end to end from the longest to the shortest.
+ *
+ * @param {Object} snapshot
+ * @returns {Object}
+ */
+function snapshotToTrace(snapshot) {
+	let traceEvents = [ { name: 'process_name', ph: 'M', pid: 0, tid: 0, args: { name: 'simprof' } } ];
+	_.keys(snapshot.namespaces).sort().forEach((namespace, index) => {
+		const tid = index + 1;
+		traceEvents.push({ name: 'thread_name', ph: 'M', pid: 0, tid, args: { name: namespace } });
+		const blocks = _.orderBy(_.toPairs(snapshot.namespaces[namespace]), ([ , stats ]) => stats.sum, 'desc');
+		let ts = 0;
+		for (let [ name, stats ] of blocks) {
+			const dur = stats.sum * 1000;
+			const args = { count: stats.count, average: stats.count ? stats.sum / stats.count : null };
+			traceEvents.push({ name, cat: namespace, ph: 'X', pid: 0, tid, ts, dur, args });
+			ts += dur;
+		}
+	});
+	return { traceEvents, displayTimeUnit: 'ms', otherData: { createdOn: snapshot.createdOn } };
+}
+
+/**
+ * Parse a snapshot from its JSON representation
+ *
+ * @param {String} json
+ * @returns {Object}
+ * @throws {XError} - throws if the JSON is not a snapshot of a supported version
+ */
+function parseSnapshot(json) {
+	let snapshot;
+	try {
+		snapshot = JSON.parse(json);
+	} catch (err) {
+		throw new XError(XError.UNSUPPORTED_FORMAT, 'Invalid simprof snapshot JSON', err);
+	}
+	if (!_.isPlainObject(snapshot) || !_.isPlainObject(snapshot.namespaces)) {
+		throw new XError(XError.UNSUPPORTED_FORMAT, 'Not a simprof snapshot');
+	}
+	if (snapshot.version !== SNAPSHOT_VERSION) {
+		throw new XError(XError.UNSUPPORTED_FORMAT, `Unsupported simprof snapshot version: ${snapshot.version}`);
+	}
+	return snapshot;
+}
+
+/**
+ * Compute the per-block change between two snapshots.  For each block in `after`, the result has the
+ * `count`, `sum`, `mean` and `std` of only the blocks that ended between the snapshots, the lifetime
+ * `beforeCount` and `beforeMean` as of `before`, and the relative `change` of the mean (0.1 is 10% slower).
+ *
+ * @param {Object} before - a snapshot
+ * @param {Object} after - a later snapshot
+ * @returns {Object} - an object with `from` and `to` dates and `namespaces`, a map from namespace to a map from
+ *   block name to change
+ */
+function diffSnapshots(before, after) {
+	let namespaces = {};
+	_.forEach(after.namespaces, (blocks, namespace) => {
+		namespaces[namespace] = _.mapValues(blocks, (afterStats, name) => {
+			const beforeStats = _.get(before.namespaces, [ namespace, name ]) || { count: 0, sum: 0, sumSq: 0 };
+			const count = afterStats.count - beforeStats.count;
+			const sum = afterStats.sum - beforeStats.sum;
+			const sumSq = afterStats.sumSq - beforeStats.sumSq;
+			const mean = count ? sum / count : NaN;
+			const beforeMean = beforeStats.count ? beforeStats.sum / beforeStats.count : NaN;
+			return {
+				count,
+				sum,
+				mean,
+				std: count ? Math.sqrt(Math.max(0, sumSq / count - mean * mean)) : NaN,
+				beforeCount: beforeStats.count,
+				beforeMean,
+				change: (count && beforeStats.count) ? mean / beforeMean - 1 : NaN
+			};
+		});
+	});
+	return { from: before.createdOn, to: after.createdOn, namespaces };
+}
+
+/**
+ * Render a diff as tables in the style of `Profiler#dumpStats`.  Blocks are sorted by the change of their mean,
+ * and blocks whose mean regressed by more than `threshold` are marked with an asterisk.
+ *
+ * @param {Object} diff - the result of `diffSnapshots()`
+ * @param {Object} [options]
+ *   @param {Number} [options.threshold=0.1] - the relative change of the mean above which to mark a regression
+ *   @param {Boolean} [options.all=false] - include blocks that did not run between the snapshots
+ * @returns {String}
+ */
+function renderDiff(diff, { threshold = 0.1, all = false } = {}) {
+	let output = '';
+	for (let namespace of _.keys(diff.namespaces).sort()) {
+		let rows = _.toPairs(diff.namespaces[namespace]).filter(([ , change ]) => all || change.count);
+		rows = _.sortBy(rows, [ ([ , change ]) => (Number.isNaN(change.change) ? Infinity : -change.change), 0 ]);
+
+		let table = new Table();
+		for (let [ name, change ] of rows) {
+			table.cell(' ', change.change > threshold ? '*' : '');
+			table.cell('name', name);
+			table.cell('count', change.count, Table.number());
+			table.cell('sum', change.sum, displayDuration);
+			table.cell('mean', change.mean, displayDuration);
+			table.cell('std. dev.', change.std, displayDuration);
+			table.cell('before mean', change.beforeMean, displayDuration);
+			table.cell('change', change.change, displayChange);
+			table.newRow();
+		}
+
+		output += `\n================================\n${namespace}:\n\n`;
+		if (rows.length) output += `${table}\n`;
+	}
+	if (output) output += `* mean regressed by more than ${displayChange(threshold)}\n`;
+	return output;
+}
+
+function displayChange(value) {
+	if (!Number.isFinite(value)) return '';
+	return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+module.exports = {
+	SNAPSHOT_VERSION,
+	serializeStats,
+	mergeSerializedStats,
+	deserializeStats,
+	deserializeSnapshot,
+	createSnapshot,
+	mergeSnapshots,
+	snapshotToTrace,
+	parseSnapshot,
+	diffSnapshots,
+	renderDiff
+};
@@ -0,0 +1,109 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const cluster = require('cluster');
+const _ = require('lodash');
+const { SNAPSHOT_VERSION, mergeSnapshots } = require('./snapshot');
+const { MESSAGE_TYPE } = require('./stats-reporter');
+
+/**
+ * Collects the stats sent by StatsReporters in `cluster` workers and worker threads.  The latest snapshot of each
+ * worker is kept, including after the worker exits, so combined stats do not go backwards when workers restart.
+ *
+ * @constructor
+ * @static
+ */
+class StatsAggregator {
+	constructor() {
+		this.snapshots = new Map();
+		this.workers = [];
+		this.isClusterAttached = false;
+		this.onClusterMessage = (worker, message) => this.receive(`worker ${worker.id}`, message);
+	}
+
+	/**
+	 * Start receiving stats from all `cluster` workers, if this is the cluster primary
+	 *
+	 * @method start
+	 * @returns {StatsAggregator} - returns `this`
+	 */
+	start() {
+		const isPrimary = (cluster.isPrimary === undefined) ? cluster.isMaster : cluster.isPrimary;
+		if (isPrimary && !this.isClusterAttached) {
+			cluster.on('message', this.onClusterMessage);
+			this.isClusterAttached = true;
+		}
+		return this;
+	}
+
+	/**
+	 * Stop receiving stats.  Stats already received are kept.
+	 *
+	 * @method stop
+	 * @returns {StatsAggregator} - returns `this`
+	 */
+	stop() {
+		cluster.removeListener('message', this.onClusterMessage);
+		this.isClusterAttached = false;
+		for (let { worker, listener } of this.workers) worker.removeListener('message', listener);
+		this.workers = [];
+		return this;
+	}
+
+	/**
+	 * Start receiving stats from a worker thread
+	 *
+	 * @method addWorker
+	 * @param {Worker} worker - a `worker_threads` Worker
+	 * @returns {StatsAggregator} - returns `this`
+	 */
+	addWorker(worker) {
+		const label = `thread ${worker.threadId}`;
+		const listener = (message) => this.receive(label, message);
+		worker.on('message', listener);
+		this.workers.push({ worker, listener });
+		return this;
+	}
+
+	/**
+	 * Handle a message from a worker, ignoring messages that are not stats reports
+	 *
+	 * @method receive
+	 * @private
+	 * @param {String} label - the name of the worker
+	 * @param {*} message
+	 */
+	receive(label, message) {
+		if (!message || message.type !== MESSAGE_TYPE) return;
+		const { snapshot } = message;
+		if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+			console.warn(`Warning: Ignoring simprof stats of unsupported version from ${label}`);
+			return;
+		}
+		this.snapshots.set(label, snapshot);
+	}
+
+	/**
+	 * Get the latest snapshot of each worker
+	 *
+	 * @method getSnapshots
+	 * @returns {Object} - a map from worker label, ie. 'worker 1' or 'thread 2', to snapshot
+	 */
+	getSnapshots() {
+		return _.fromPairs(Array.from(this.snapshots));
+	}
+
+	/**
+	 * Merge the latest snapshots of all workers with a snapshot of this process
+	 *
+	 * @method combine
+	 * @param {Object} snapshot - a snapshot of this process
+	 * @returns {Object}
+	 */
+	combine(snapshot) {
+		return mergeSnapshots([ snapshot ].concat(Array.from(this.snapshots.values())));
+	}
+}
+
+module.exports = StatsAggregator;
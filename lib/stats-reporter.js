@@ -0,0 +1,88 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { parentPort } = require('worker_threads');
+const XError = require('xerror');
+
+/**
+ * The `type` of the messages carrying stats from workers to the primary.
+ */
+const MESSAGE_TYPE = 'simprof:stats';
+
+/**
+ * Periodically sends the stats of a `cluster` worker or a worker thread to its primary, where a StatsAggregator
+ * merges them.  Each message carries a full snapshot, so lost messages are made up for by the next one.
+ *
+ * @constructor
+ * @static
+ * @param {Object} options
+ *   @param {Function} options.snapshot - returns the snapshot to send
+ *   @param {Object} [options.port] - the channel to send on: `process` for a `cluster` worker or other child
+ *     process with an IPC channel, or a `MessagePort`.  Defaults to `process` if it has an IPC channel, or
+ *     else to the `parentPort` of a worker thread.
+ *   @param {Number} [options.interval=5000] - the time between reports in ms
+ * @throws {XError} - throws if no port is given and the process is not a worker
+ */
+class StatsReporter {
+	constructor({ snapshot, port = defaultPort(), interval = 5000 }) {
+		if (!port) {
+			const msg = 'simprof stats reporting requires a cluster worker or a worker thread';
+			throw new XError(XError.INVALID_ARGUMENT, msg);
+		}
+		this.snapshot = snapshot;
+		this.port = port;
+		this.interval = interval;
+		this.timer = null;
+	}
+
+	/**
+	 * Start sending reports
+	 *
+	 * @method start
+	 * @returns {StatsReporter} - returns `this`
+	 */
+	start() {
+		if (this.timer) return this;
+		this.timer = setInterval(() => this.report(), this.interval);
+		this.timer.unref();
+		return this;
+	}
+
+	/**
+	 * Stop sending reports, after sending a final one
+	 *
+	 * @method stop
+	 * @returns {StatsReporter} - returns `this`
+	 */
+	stop() {
+		if (!this.timer) return this;
+		clearInterval(this.timer);
+		this.timer = null;
+		this.report();
+		return this;
+	}
+
+	/**
+	 * Send a report now
+	 *
+	 * @method report
+	 */
+	report() {
+		const message = { type: MESSAGE_TYPE, snapshot: this.snapshot() };
+		if (this.port === process) {
+			// The primary may already be gone
+			if (process.connected) process.send(message);
+		} else {
+			this.port.postMessage(message);
+		}
+	}
+}
+
+function defaultPort() {
+	return process.send ? process : parentPort;
+}
+
+StatsReporter.MESSAGE_TYPE = MESSAGE_TYPE;
+
+module.exports = StatsReporter;
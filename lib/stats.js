@@ -0,0 +1,298 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const Histogram = require('./histogram');
+const RollingWindow = require('./rolling-window');
+
+const OUTCOME_KEYS = [ 'errorCount', 'errorRate', 'errorCodes', 'outcomes' ];
+const THROUGHPUT_KEYS = [ 'items', 'bytes', 'itemsPerSecond', 'bytesPerSecond' ];
+const CONCURRENCY_KEYS = [ 'inFlight', 'peakConcurrency' ];
+const RESOURCE_KEYS = [ 'count', 'cpuUser', 'cpuSystem', 'heapDelta', 'loopDelay', 'loopDelaySamples' ];
+
+/**
+ * Helpers for the aggregate stats objects kept for each block.
+ */
+
+/**
+ * Fill in the default fields of a stats object, including a duration histogram and getters that estimate
+ * percentiles from it (`p50`, `p90`, `p95`, `p99` and `p999`), and a non-enumerable `windows` RollingWindow
+ * holding recent history.
+ *
+ * @param {Object} stats
+ * @returns {Object} - returns `stats`
+ */
+function initStats(stats) {
+	_.defaults(stats, {
+		count: 0,
+		sum: 0,
+		sumSq: 0,
+		avg: 0,
+		std: 0,
+		min: Infinity,
+		max: -Infinity,
+		warningCount: 0,
+		errorCount: 0,
+		errorRate: 0,
+		inFlight: 0,
+		peakConcurrency: 0
+	});
+	if (!(stats.histogram instanceof Histogram)) {
+		stats.histogram = new Histogram();
+		_.forEach(Histogram.PERCENTILES, (percentile, key) => {
+			Object.defineProperty(stats, key, {
+				enumerable: true,
+				configurable: true,
+				get() { return this.histogram.percentile(percentile); }
+			});
+		});
+	}
+	if (!stats.windows) {
+		Object.defineProperty(stats, 'windows', { configurable: true, writable: true, value: new RollingWindow() });
+	}
+	return stats;
+}
+
+/**
+ * Update a stats object with a single duration.  A sampled duration is weighted by the number of executions it
+ * stands for, ie. 10 at a sample rate of 0.1, so that counts and sums estimate those of all executions.
+ *
+ * @param {Object} stats
+ * @param {Number} duration - in ms
+ * @param {Number} [weight=1] - the number of executions the duration stands for
+ * @returns {Object} - returns `stats`
+ */
+function recordDuration(stats, duration, weight = 1) {
+	stats.count += weight;
+	stats.sum += duration * weight;
+	stats.sumSq += duration * duration * weight;
+	if (duration < stats.min) stats.min = duration;
+	if (duration > stats.max) stats.max = duration;
+	if (weight !== 1) stats.sampled = true;
+	stats.histogram.record(duration, weight);
+	stats.windows.record(duration, undefined, weight);
+	return updateDerived(stats);
+}
+
+/**
+ * Update the number of executions currently in flight, and the highest number in flight at once
+ * (`peakConcurrency`).  Sampling does not scale these, so they count only the executions being profiled.
+ *
+ * @param {Object} stats
+ * @param {Number} delta - 1 when an execution begins, or -1 when it ends
+ * @returns {Object} - returns `stats`
+ */
+function updateInFlight(stats, delta) {
+	stats.inFlight += delta;
+	if (stats.inFlight > stats.peakConcurrency) stats.peakConcurrency = stats.inFlight;
+	return stats;
+}
+
+/**
+ * Record whether a single execution succeeded or failed.  The duration is added to the separate stats of its
+ * outcome, kept as `outcomes.success` and `outcomes.error`, and failures are counted in `errorCount`, `errorRate`
+ * and, per error code, `errorCodes`.  The execution should also be recorded with `recordDuration()`.
+ *
+ * @param {Object} stats
+ * @param {Number} duration - in ms
+ * @param {Mixed} [error] - the error the execution failed with, if it failed
+ * @param {Number} [weight=1] - the number of executions the duration stands for
+ * @returns {Object} - returns `stats`
+ */
+function recordOutcome(stats, duration, error, weight = 1) {
+	const outcome = error ? 'error' : 'success';
+	if (!stats.outcomes) stats.outcomes = {};
+	if (!stats.outcomes[outcome]) stats.outcomes[outcome] = initStats({});
+	recordDuration(stats.outcomes[outcome], duration, weight);
+	if (error) {
+		const code = errorCode(error);
+		if (!stats.errorCodes) stats.errorCodes = {};
+		stats.errorCodes[code] = (stats.errorCodes[code] || 0) + weight;
+		stats.errorCount += weight;
+	}
+	return updateDerived(stats);
+}
+
+/**
+ * Get the code an error is counted under: the `code` of XErrors and Node system errors, or else the error's name
+ *
+ * @param {Mixed} error
+ * @returns {String}
+ */
+function errorCode(error) {
+	if (error && error.code) return `${error.code}`;
+	if (error instanceof Error) return error.name;
+	return 'unknown';
+}
+
+/**
+ * Add the items and bytes processed by one execution of an iteration or stream to its stats, which then also get
+ * `itemsPerSecond` and `bytesPerSecond`, the throughput over the total duration of all executions.
+ *
+ * @param {Object} stats
+ * @param {Number} items
+ * @param {Number} bytes
+ * @param {Number} [weight=1] - the number of executions the counts stand for
+ * @returns {Object} - returns `stats`
+ */
+function recordItems(stats, items, bytes, weight = 1) {
+	stats.items = (stats.items || 0) + items * weight;
+	stats.bytes = (stats.bytes || 0) + bytes * weight;
+	return updateDerived(stats);
+}
+
+/**
+ * Add the resources used by one execution, as measured by a ResourceMonitor, to its stats.  They are kept as the
+ * totals of `resources`, an object with the `count` of executions measured, their `cpuUser` and `cpuSystem` time
+ * in ms, `heapDelta` in bytes, and the total `loopDelay` in ms of all `loopDelaySamples`, plus the averages per
+ * execution `avgCpuUser`, `avgCpuSystem` and `avgHeapDelta`, and the average loop delay per sample `avgLoopDelay`.
+ *
+ * @param {Object} stats
+ * @param {Object} usage - as returned by `ResourceMonitor#usageSince()`
+ * @param {Number} [weight=1] - the number of executions the usage stands for
+ * @returns {Object} - returns `stats`
+ */
+function recordResources(stats, usage, weight = 1) {
+	if (!stats.resources) stats.resources = emptyResources();
+	const { resources } = stats;
+	resources.count += weight;
+	resources.cpuUser += usage.cpuUser * weight;
+	resources.cpuSystem += usage.cpuSystem * weight;
+	resources.heapDelta += usage.heapDelta * weight;
+	if (usage.loopDelaySamples) {
+		resources.loopDelay += usage.loopDelay * usage.loopDelaySamples * weight;
+		resources.loopDelaySamples += usage.loopDelaySamples * weight;
+	}
+	return updateDerived(stats);
+}
+
+/**
+ * Clear a stats object in place, so that blocks already holding a reference to it keep recording into it
+ *
+ * @param {Object} stats
+ * @returns {Object} - returns `stats`
+ */
+function resetStats(stats) {
+	// Blocks that are still running are counted again
+	const { inFlight } = stats;
+	const keys = [ 'count', 'sum', 'sumSq', 'avg', 'std', 'min', 'max', 'warningCount', 'sampled' ]
+		.concat(OUTCOME_KEYS, THROUGHPUT_KEYS, CONCURRENCY_KEYS, 'resources');
+	for (let key of keys) delete stats[key];
+	delete stats.histogram;
+	delete stats.tagged;
+	delete stats.windows;
+	initStats(stats);
+	if (inFlight) stats.inFlight = stats.peakConcurrency = inFlight;
+	return stats;
+}
+
+/**
+ * Get the aggregates of a stats object over a recent window
+ *
+ * @param {Object} stats - an initialized stats object
+ * @param {String|Number} window - a named window ('1m', '5m' or '15m') or a length in ms
+ * @returns {Object}
+ */
+function windowStats(stats, window) {
+	return stats.windows.query(window);
+}
+
+/**
+ * Add the contents of one stats object to another
+ *
+ * @param {Object} target - an initialized stats object
+ * @param {Object} source - a stats object, or its JSON representation
+ * @returns {Object} - returns `target`
+ */
+function mergeStats(target, source) {
+	target.count += source.count;
+	target.sum += source.sum;
+	target.sumSq += source.sumSq;
+	// JSON has no Infinity, so empty stats serialize min and max as null
+	if (_.isNumber(source.min) && source.min < target.min) target.min = source.min;
+	if (_.isNumber(source.max) && source.max > target.max) target.max = source.max;
+	target.warningCount += source.warningCount || 0;
+	target.errorCount += source.errorCount || 0;
+	// Peaks of separate processes need not coincide, so the peak of the whole is only known to be at least this
+	target.inFlight += source.inFlight || 0;
+	target.peakConcurrency = Math.max(target.peakConcurrency, source.peakConcurrency || 0, target.inFlight);
+	_.forEach(source.errorCodes, (count, code) => {
+		if (!target.errorCodes) target.errorCodes = {};
+		target.errorCodes[code] = (target.errorCodes[code] || 0) + count;
+	});
+	_.forEach(source.outcomes, (outcomeStats, outcome) => {
+		if (!target.outcomes) target.outcomes = {};
+		if (!target.outcomes[outcome]) target.outcomes[outcome] = initStats({});
+		mergeStats(target.outcomes[outcome], outcomeStats);
+	});
+	if (source.sampled) target.sampled = true;
+	if (_.isNumber(source.items)) {
+		target.items = (target.items || 0) + source.items;
+		target.bytes = (target.bytes || 0) + (source.bytes || 0);
+	}
+	if (source.resources) {
+		if (!target.resources) target.resources = emptyResources();
+		for (let key of RESOURCE_KEYS) target.resources[key] += source.resources[key] || 0;
+	}
+	if (source.histogram) target.histogram.merge(source.histogram);
+	return updateDerived(target);
+}
+
+/**
+ * Merge several stats objects into a new one
+ *
+ * @param {Object[]} statsList
+ * @returns {Object}
+ */
+function combineStats(statsList) {
+	let combined = initStats({});
+	for (let stats of statsList) mergeStats(combined, stats);
+	return combined;
+}
+
+/**
+ * Recalculate the average and standard deviation of a stats object
+ *
+ * @param {Object} stats
+ * @returns {Object} - returns `stats`
+ */
+function updateDerived(stats) {
+	if (!stats.count) return stats;
+	stats.avg = stats.sum / stats.count;
+	// Rounding errors can push the variance of near-identical durations slightly below zero
+	stats.std = Math.sqrt(Math.max(0, (stats.sumSq / stats.count) - (stats.avg * stats.avg)));
+	stats.errorRate = stats.errorCount / stats.count;
+	if (stats.resources) updateResourceAverages(stats.resources);
+	if (_.isNumber(stats.items)) {
+		stats.itemsPerSecond = stats.sum ? stats.items / stats.sum * 1000 : 0;
+		stats.bytesPerSecond = stats.sum ? stats.bytes / stats.sum * 1000 : 0;
+	}
+	return stats;
+}
+
+function emptyResources() {
+	return _.zipObject(RESOURCE_KEYS, RESOURCE_KEYS.map(() => 0));
+}
+
+function updateResourceAverages(resources) {
+	const { count, loopDelaySamples } = resources;
+	resources.avgCpuUser = count ? resources.cpuUser / count : 0;
+	resources.avgCpuSystem = count ? resources.cpuSystem / count : 0;
+	resources.avgHeapDelta = count ? resources.heapDelta / count : 0;
+	resources.avgLoopDelay = loopDelaySamples ? resources.loopDelay / loopDelaySamples : null;
+}
+
+module.exports = {
+	initStats,
+	resetStats,
+	recordDuration,
+	recordOutcome,
+	recordItems,
+	recordResources,
+	updateInFlight,
+	mergeStats,
+	combineStats,
+	windowStats,
+	errorCode
+};
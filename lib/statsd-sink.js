@@ -0,0 +1,198 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const dgram = require('dgram');
+const _ = require('lodash');
+
+/**
+ * Pushes the timing of every finished block, and a counter of warnings, to a StatsD-compatible agent over UDP.
+ * Lines are batched into packets of at most `maxPacketSize` bytes, which are sent when full and every
+ * `flushInterval` ms.
+ *
+ * Plain StatsD metrics are named `<prefix><namespace>.<block>`.  With `dogstatsd` enabled, timings are sent as
+ * `<prefix>block.duration` and warnings as `<prefix>block.warnings`, tagged with `namespace`, `block` and the
+ * block's own tags in addition to the configured tags.
+ *
+ * @constructor
+ * @static
+ * @param {Object} options
+ *   @param {EventEmitter} options.emitter - the global profiler emitter to subscribe to
+ *   @param {String} [options.host='127.0.0.1']
+ *   @param {Number} [options.port=8125]
+ *   @param {String} [options.type='udp4'] - the dgram socket type
+ *   @param {String} [options.prefix='simprof.'] - prefix for all metric names
+ *   @param {Number} [options.sampleRate=1] - the fraction of block timings to send
+ *   @param {Boolean} [options.dogstatsd=false] - whether to send DogStatsD tags
+ *   @param {Object} [options.tags] - DogStatsD tags to add to every metric
+ *   @param {Number} [options.flushInterval=1000] - the maximum time in ms to hold a partial packet
+ *   @param {Number} [options.maxPacketSize=1432] - the maximum packet size in bytes
+ */
+class StatsdSink {
+	constructor({
+		emitter,
+		host = '127.0.0.1',
+		port = 8125,
+		type = 'udp4',
+		prefix = 'simprof.',
+		sampleRate = 1,
+		dogstatsd = false,
+		tags = {},
+		flushInterval = 1000,
+		maxPacketSize = 1432
+	}) {
+		_.extend(this, { emitter, host, port, type, prefix, sampleRate, dogstatsd, tags });
+		_.extend(this, { flushInterval, maxPacketSize });
+		this.lines = [];
+		this.bufferSize = 0;
+		this.socket = null;
+		this.timer = null;
+		this.onEnd = (namespace, block) => {
+			this.sendTiming(namespace, block.name, block.duration, block.tags, block.sampleRate);
+		};
+		this.onWarning = (namespace, warning) => this.sendWarning(namespace, warning);
+	}
+
+	/**
+	 * Open the socket and start sending metrics
+	 *
+	 * @method start
+	 * @returns {StatsdSink} - returns `this`
+	 */
+	start() {
+		if (this.socket) return this;
+		this.socket = dgram.createSocket(this.type);
+		this.socket.on('error', (err) => console.warn(`Warning: simprof StatsD sink error: ${err.message}`));
+		this.socket.unref();
+		this.timer = setInterval(() => this.flush(), this.flushInterval);
+		this.timer.unref();
+		this.emitter.on('end', this.onEnd);
+		this.emitter.on('warning', this.onWarning);
+		return this;
+	}
+
+	/**
+	 * Stop sending metrics, flush any buffered lines, and close the socket
+	 *
+	 * @method stop
+	 * @returns {Promise} - resolves when the socket is closed
+	 */
+	async stop() {
+		if (!this.socket) return;
+		this.emitter.removeListener('end', this.onEnd);
+		this.emitter.removeListener('warning', this.onWarning);
+		clearInterval(this.timer);
+		this.timer = null;
+		await this.flush();
+		const { socket } = this;
+		this.socket = null;
+		await new Promise((resolve) => socket.close(resolve));
+	}
+
+	/**
+	 * Queue a timing metric for a block
+	 *
+	 * @method sendTiming
+	 * @private
+	 * @param {String} namespace
+	 * @param {String} name - the block name
+	 * @param {Number} duration - in ms
+	 * @param {Object} [blockTags] - the block's tags
+	 * @param {Number} [blockSampleRate=1] - the rate at which the profiler sampled the block
+	 */
+	sendTiming(namespace, name, duration, blockTags, blockSampleRate = 1) {
+		if (this.sampleRate < 1 && Math.random() >= this.sampleRate) return;
+		const sampleRate = this.sampleRate * blockSampleRate;
+		const rate = sampleRate < 1 ? `|@${+sampleRate.toPrecision(6)}` : '';
+		const value = Math.round(duration * 1000) / 1000;
+		const metric = this.metricName(namespace, name, 'duration');
+		this.enqueue(`${metric}:${value}|ms${rate}${this.tagString(namespace, name, blockTags)}`);
+	}
+
+	/**
+	 * Queue a counter increment for a warning
+	 *
+	 * @method sendWarning
+	 * @private
+	 * @param {String} namespace
+	 * @param {XError} warning
+	 */
+	sendWarning(namespace, warning) {
+		let metric = `${this.prefix}${sanitize(namespace)}.warnings`;
+		if (this.dogstatsd) metric = `${this.prefix}block.warnings`;
+		const name = (warning && warning.data) ? warning.data.block : undefined;
+		this.enqueue(`${metric}:1|c${this.tagString(namespace, name)}`);
+	}
+
+	/**
+	 * @method metricName
+	 * @private
+	 * @param {String} namespace
+	 * @param {String} name - the block name
+	 * @param {String} metric - the metric name used for DogStatsD
+	 * @returns {String}
+	 */
+	metricName(namespace, name, metric) {
+		if (this.dogstatsd) return `${this.prefix}block.${metric}`;
+		return `${this.prefix}${sanitize(namespace)}.${sanitize(name)}`;
+	}
+
+	/**
+	 * @method tagString
+	 * @private
+	 * @param {String} namespace
+	 * @param {String} [name] - the block name
+	 * @param {Object} [blockTags] - the block's tags
+	 * @returns {String} - the DogStatsD tag suffix, or an empty string when not using DogStatsD
+	 */
+	tagString(namespace, name, blockTags) {
+		if (!this.dogstatsd) return '';
+		let tags = { namespace };
+		if (name !== undefined) tags.block = name;
+		_.extend(tags, this.tags, blockTags);
+		return '|#' + _.map(tags, (value, key) => `${sanitizeTag(key)}:${sanitizeTag(value)}`).join(',');
+	}
+
+	/**
+	 * Add a line to the current packet, sending the packet first if the line would not fit
+	 *
+	 * @method enqueue
+	 * @private
+	 * @param {String} line
+	 */
+	enqueue(line) {
+		const size = Buffer.byteLength(line);
+		if (this.lines.length && this.bufferSize + 1 + size > this.maxPacketSize) this.flush();
+		this.bufferSize += (this.lines.length ? 1 : 0) + size;
+		this.lines.push(line);
+	}
+
+	/**
+	 * Send all buffered lines
+	 *
+	 * @method flush
+	 * @returns {Promise} - resolves when the packet has been sent
+	 */
+	flush() {
+		if (!this.lines.length || !this.socket) return Promise.resolve();
+		const packet = Buffer.from(this.lines.join('\n'));
+		this.lines = [];
+		this.bufferSize = 0;
+		return new Promise((resolve) => {
+			this.socket.send(packet, this.port, this.host, (err) => {
+				if (err) console.warn(`Warning: simprof StatsD sink error: ${err.message}`);
+				resolve();
+			});
+		});
+	}
+}
+
+function sanitize(name) {
+	return `${name}`.replace(/[:|@#,\s]+/g, '_');
+}
+
+function sanitizeTag(value) {
+	return `${value}`.replace(/[:|#,\s]+/g, '_');
+}
+
+module.exports = StatsdSink;
@@ -0,0 +1,113 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const { performance } = require('perf_hooks');
+const { recordItems } = require('./stats');
+
+/**
+ * Measures a single pass over an iteration or stream for Profiler.  The whole pass is profiled as a block named
+ * `name`, while the time to the first item and the latency of each item are recorded in the stats of the related
+ * `<name> (first item)` and `<name> (per item)` blocks.  The items and bytes of the pass are added to the stats of
+ * the main block when it ends.
+ *
+ * @constructor
+ * @static
+ * @param {Profiler} profiler
+ * @param {String} name - the name of the main block
+ * @param {Number|Object} [options] - the warning threshold, or `warnThreshold` and `tags` for the main block, plus:
+ *   @param {Function} [options.size] - get the size in bytes of an item; by default, the length of buffers and
+ *     strings and 0 for other items
+ */
+class ThroughputMeter {
+	constructor(profiler, name, options = {}) {
+		this.profiler = profiler;
+		this.name = name;
+		this.blockOptions = _.isNumber(options) ? options : _.omit(options, 'size');
+		this.size = options.size || byteLength;
+		this.block = null;
+		this.items = 0;
+		this.bytes = 0;
+		this.lastItemTime = null;
+		this.finished = false;
+	}
+
+	/**
+	 * Begin the main block, unless it has already begun
+	 *
+	 * @method start
+	 * @returns {ThroughputMeter} - returns `this`
+	 */
+	start() {
+		if (!this.block) {
+			this.block = this.profiler.createBlock(this.name, this.blockOptions);
+			this.lastItemTime = this.block.startTime;
+		}
+		return this;
+	}
+
+	/**
+	 * Whether the pass is being profiled; it is not when the profiler is disabled or the pass was not sampled
+	 *
+	 * @method isProfiling
+	 * @returns {Boolean}
+	 */
+	isProfiling() {
+		return !!this.block && this.block !== this.profiler.disabledBlock && !this.finished;
+	}
+
+	/**
+	 * Record an item
+	 *
+	 * @method item
+	 * @param {Mixed} item
+	 * @param {Number} [latency] - the time in ms it took to get the item; defaults to the time since the previous
+	 *   item, or since the start of the pass for the first item
+	 */
+	item(item, latency) {
+		this.start();
+		if (!this.isProfiling()) return;
+
+		const now = performance.now();
+		const weight = 1 / this.block.sampleRate;
+		if (!this.items) {
+			this.profiler.recordStats(`${this.name} (first item)`, now - this.block.startTime, weight);
+		}
+		if (latency === undefined) latency = now - this.lastItemTime;
+		this.profiler.recordStats(`${this.name} (per item)`, latency, weight);
+		this.lastItemTime = now;
+		this.items += 1;
+		this.bytes += this.size(item) || 0;
+	}
+
+	/**
+	 * End the pass and its main block
+	 *
+	 * @method end
+	 * @param {Error} [error] - the error the pass failed with, if any
+	 */
+	end(error) {
+		this.start();
+		if (!this.isProfiling()) return;
+
+		this.finished = true;
+		const { block } = this;
+		const weight = 1 / block.sampleRate;
+		recordItems(block.stats, this.items, this.bytes, weight);
+		if (block.tagStats) recordItems(block.tagStats, this.items, this.bytes, weight);
+		if (error === undefined) {
+			block.end();
+		} else {
+			block.fail(error);
+		}
+	}
+}
+
+function byteLength(item) {
+	if (typeof item === 'string') return Buffer.byteLength(item);
+	if (item && ArrayBuffer.isView(item)) return item.byteLength;
+	return 0;
+}
+
+module.exports = ThroughputMeter;
@@ -0,0 +1,125 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { performance } = require('perf_hooks');
+const RingBuffer = require('./ring-buffer');
+
+/**
+ * Records the begin and end of every block emitted by a profiler event emitter into a bounded buffer, and
+ * serializes them to the Trace Event format understood by `chrome://tracing` and Perfetto.
+ *
+ * Blocks are written as async events with an id of their own and the id of their parent block in their `args`, so
+ * that the begin and end of blocks that overlap, even siblings under one parent, are always paired correctly.
+ *
+ * @constructor
+ * @static
+ * @param {Object} options
+ *   @param {EventEmitter} options.emitter - the global profiler emitter to record from
+ *   @param {Number} [options.maxEvents=100000] - the maximum number of begin/end records to keep; the oldest
+ *     records are dropped first
+ */
+class TraceRecorder {
+	constructor({ emitter, maxEvents = 100000 }) {
+		this.emitter = emitter;
+		this.records = new RingBuffer(maxEvents);
+		this.isRecording = false;
+		this.onBegin = (namespace, block) => this.record('b', namespace, block, block.startTime);
+		this.onEnd = (namespace, block) => this.record('e', namespace, block, block.endTime);
+	}
+
+	/**
+	 * Start recording
+	 *
+	 * @method start
+	 * @returns {TraceRecorder} - returns `this`
+	 */
+	start() {
+		if (this.isRecording) return this;
+		this.isRecording = true;
+		this.emitter.on('begin', this.onBegin);
+		this.emitter.on('end', this.onEnd);
+		return this;
+	}
+
+	/**
+	 * Stop recording
+	 *
+	 * @method stop
+	 * @returns {TraceRecorder} - returns `this`
+	 */
+	stop() {
+		this.isRecording = false;
+		this.emitter.removeListener('begin', this.onBegin);
+		this.emitter.removeListener('end', this.onEnd);
+		return this;
+	}
+
+	/**
+	 * Store a begin or end record for a block
+	 *
+	 * @method record
+	 * @private
+	 * @param {String} phase - 'b' for begin or 'e' for end
+	 * @param {String} namespace
+	 * @param {ProfilerBlock} block
+	 * @param {Number} time - the monotonic time of the event in ms
+	 */
+	record(phase, namespace, block, time) {
+		this.records.push({
+			phase,
+			namespace,
+			name: block.name,
+			key: blockKey(namespace, block),
+			parent: block.parent ? blockKey(block.parent.namespace, block.parent) : null,
+			tags: block.tags,
+			time,
+			duration: block.duration
+		});
+	}
+
+	/**
+	 * Serialize the recorded blocks to the Trace Event JSON object format.  Ends whose begin was dropped
+	 * from the buffer are omitted; blocks that have not ended yet are left open.
+	 *
+	 * @method toJSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		const records = this.records.toArray();
+		let begun = new Set();
+		let traceEvents = [ {
+			name: 'process_name',
+			ph: 'M',
+			pid: process.pid,
+			tid: 0,
+			args: { name: 'simprof' }
+		} ];
+
+		for (let { phase, namespace, name, key, parent, tags, time, duration } of records) {
+			if (phase === 'b') {
+				begun.add(key);
+			} else if (!begun.has(key)) {
+				continue;
+			}
+			let event = { name, cat: namespace, ph: phase, id: key, pid: process.pid, tid: 0, ts: time * 1000 };
+			event.args = (phase === 'b') ? { id: key, parent, tags } : { duration };
+			traceEvents.push(event);
+		}
+
+		return {
+			traceEvents,
+			displayTimeUnit: 'ms',
+			otherData: {
+				droppedRecords: this.records.dropped,
+				timeOrigin: performance.timeOrigin
+			}
+		};
+	}
+}
+
+function blockKey(namespace, block) {
+	return `${namespace}:${block.id}`;
+}
+
+module.exports = TraceRecorder;
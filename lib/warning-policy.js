@@ -0,0 +1,95 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { performance } = require('perf_hooks');
+const XError = require('xerror');
+const _ = require('lodash');
+
+/**
+ * The stats included in the data of warnings.
+ */
+const STATS_FIELDS = [ 'count', 'sum', 'avg', 'std', 'min', 'max', 'p50', 'p90', 'p95', 'p99', 'p999' ];
+
+/**
+ * Decides which finished blocks are slow enough to warn about.
+ *
+ * A block is slow when its duration exceeds its own `warnThreshold`, if it was begun with one, or else the
+ * policy's threshold: an absolute `threshold`, a `percentile` of the block's durations so far, or `sigma`
+ * standard deviations above the average.  Without any of these, the threshold is twice the average plus one
+ * standard deviation.
+ *
+ * Warnings are raised as `XError`s with code `LIMIT_EXCEEDED` and data holding the `namespace`, `block` name,
+ * `duration`, `threshold`, current `stats`, and the number of warnings `suppressed` since the last one.
+ *
+ * @constructor
+ * @static
+ * @param {Object} [options]
+ *   @param {Number} [options.minCount=100] - the number of executions of a block to wait for before warning
+ *   @param {Number} [options.threshold] - a duration in ms
+ *   @param {Number} [options.percentile] - a percentile, ie. 99
+ *   @param {Number} [options.sigma] - a number of standard deviations above the average
+ *   @param {Number} [options.interval=0] - the minimum time in ms between warnings for the same block; warnings
+ *     within the interval are suppressed and counted
+ * @throws {XError} - throws if more than one kind of threshold is given
+ */
+class WarningPolicy {
+	constructor({ minCount = 100, threshold, percentile, sigma, interval = 0 } = {}) {
+		const thresholds = _.omitBy({ threshold, percentile, sigma }, _.isUndefined);
+		if (_.size(thresholds) > 1) {
+			const msg = 'A warning policy takes only one of threshold, percentile and sigma';
+			throw new XError(XError.INVALID_ARGUMENT, msg);
+		}
+		_.extend(this, { minCount, threshold, percentile, sigma, interval });
+		this.lastWarnings = new WeakMap();
+	}
+
+	/**
+	 * Get the threshold above which a block with the given stats is slow
+	 *
+	 * @method getThreshold
+	 * @param {Object} stats - the stats of the block name
+	 * @returns {Number} - in ms
+	 */
+	getThreshold(stats) {
+		if (this.threshold !== undefined) return this.threshold;
+		if (this.percentile !== undefined) return stats.histogram.percentile(this.percentile);
+		if (this.sigma !== undefined) return stats.avg + this.sigma * stats.std;
+		return 2 * stats.avg + stats.std;
+	}
+
+	/**
+	 * Check a finished block, whose duration has already been added to its stats
+	 *
+	 * @method check
+	 * @param {ProfilerBlock} block
+	 * @returns {XError|null} - the warning, or null if the block is not slow or the warning is suppressed
+	 */
+	check(block) {
+		const { stats, duration } = block;
+		if (stats.count < this.minCount) return null;
+
+		const threshold = (typeof block.warnThreshold === 'number') ? block.warnThreshold : this.getThreshold(stats);
+		if (!(duration > threshold)) return null;
+
+		const now = performance.now();
+		const lastWarning = this.lastWarnings.get(stats);
+		if (lastWarning && now - lastWarning.time < this.interval) {
+			lastWarning.suppressed += 1;
+			return null;
+		}
+		this.lastWarnings.set(stats, { time: now, suppressed: 0 });
+
+		const msg = `Block ${block.name} took longer than the acceptable threshold.`;
+		return new XError(XError.LIMIT_EXCEEDED, msg, {
+			namespace: block.namespace,
+			block: block.name,
+			duration,
+			threshold,
+			suppressed: lastWarning ? lastWarning.suppressed : 0,
+			stats: _.pick(stats, STATS_FIELDS)
+		});
+	}
+}
+
+module.exports = WarningPolicy;
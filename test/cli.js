@@ -0,0 +1,151 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+const { main } = require('../lib/cli');
+const { recordDuration } = require('../lib/stats');
+const { createSnapshot } = require('../lib/snapshot');
+const { statsOf } = require('./helpers/stats');
+
+function run(...argv) {
+	let stdout = '';
+	let stderr = '';
+	const code = main(argv, {
+		stdout: { write: (chunk) => { stdout += chunk; } },
+		stderr: { write: (chunk) => { stderr += chunk; } }
+	});
+	return { code, stdout, stderr };
+}
+
+describe('simprof cli', function() {
+	let tempDir, before, after;
+
+	beforeEach(function() {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simprof-'));
+		before = path.join(tempDir, 'before.json');
+		after = path.join(tempDir, 'after.json');
+		let stats = { query: statsOf(10, 10), render: statsOf(1, 1, 1, 1) };
+		fs.writeFileSync(before, JSON.stringify(createSnapshot({ db: stats, web: { handle: statsOf(50) } })));
+		recordDuration(stats.query, 30);
+		fs.writeFileSync(after, JSON.stringify(createSnapshot({ db: stats, web: { handle: statsOf(50) } })));
+	});
+
+	afterEach(function() {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	describe('show', function() {
+		it('renders stats tables', function() {
+			const { code, stdout } = run('show', after);
+			expect(code).to.equal(0);
+			expect(stdout).to.contain('db:');
+			expect(stdout).to.contain('web:');
+			expect(stdout).to.match(/name\s+sum\s+average/);
+			expect(stdout.indexOf('query')).to.be.below(stdout.indexOf('render'));
+		});
+
+		it('sorts and filters', function() {
+			const { stdout } = run('show', after, '--sort', 'count', '--namespace', '^db$');
+			expect(stdout).to.not.contain('web:');
+			expect(stdout.indexOf('render')).to.be.below(stdout.indexOf('query'));
+			expect(run('show', after, '--block=rend').stdout).to.not.contain('query');
+		});
+
+		it('combines several files', function() {
+			const { stdout } = run('show', before, after, '--block', 'query', '--sort', 'count');
+			expect(stdout).to.match(/query.*\s5\s+0\s+0\.0%/);
+		});
+	});
+
+	describe('diff', function() {
+		it('shows regressions', function() {
+			const { code, stdout } = run('diff', before, after, '--threshold', '0.5');
+			expect(code).to.equal(0);
+			expect(stdout).to.match(/^\*\s+query\s+1\s/m);
+			expect(stdout).to.not.contain('render');
+			expect(stdout).to.contain('more than +50.0%');
+			expect(run('diff', before, after, '--all').stdout).to.contain('render');
+		});
+
+		it('requires two files', function() {
+			expect(run('diff', before).code).to.equal(2);
+		});
+	});
+
+	describe('merge', function() {
+		it('combines files into one', function() {
+			const output = path.join(tempDir, 'merged.json');
+			expect(run('merge', before, after, '-o', output).code).to.equal(0);
+			const merged = JSON.parse(fs.readFileSync(output, 'utf8'));
+			expect(merged.version).to.equal(1);
+			expect(merged.namespaces.db.query).to.include({ count: 5, sum: 70, min: 10, max: 30 });
+			expect(merged.namespaces.web.handle.count).to.equal(2);
+		});
+	});
+
+	describe('convert', function() {
+		it('converts to CSV', function() {
+			const { stdout } = run('convert', after, '--format', 'csv');
+			const lines = stdout.trim().split('\n');
+			expect(lines[0]).to.match(/^namespace,name,sum,/);
+			expect(lines).to.have.length(4);
+			expect(lines[1]).to.match(/^db,query,50,/);
+		});
+
+		it('converts to Markdown', function() {
+			const { stdout } = run('convert', after, '--format', 'markdown');
+			expect(stdout).to.contain('## db\n\n| name |');
+			expect(stdout).to.contain('## web');
+		});
+
+		it('converts to JSON with selected columns and units', function() {
+			const argv = [ '--format', 'json', '--columns', 'sum,count', '--units', 's', '--limit', '1' ];
+			const { namespaces } = JSON.parse(run('convert', after, ...argv).stdout);
+			expect(namespaces.map((section) => section.namespace)).to.deep.equal([ 'db', 'web' ]);
+			expect(namespaces[0].blocks).to.deep.equal([ { name: 'query', sum: 0.05, count: 3 } ]);
+			expect(run('convert', after, '--format', 'json', '--limit', 'none').code).to.equal(2);
+		});
+
+		it('converts to trace JSON', function() {
+			const trace = JSON.parse(run('convert', after, '--format', 'trace').stdout);
+			const events = trace.traceEvents.filter((event) => event.ph === 'X');
+			expect(events.map((event) => event.name)).to.deep.equal([ 'query', 'render', 'handle' ]);
+			expect(events[0]).to.include({ cat: 'db', ts: 0, dur: 50000 });
+			expect(events[1]).to.include({ ts: 50000, dur: 4000 });
+		});
+
+		it('requires a format', function() {
+			const { code, stderr } = run('convert', after);
+			expect(code).to.equal(2);
+			expect(stderr).to.contain('--format');
+		});
+	});
+
+	describe('errors', function() {
+		it('reports usage errors', function() {
+			expect(run().code).to.equal(2);
+			expect(run('bogus', after).stderr).to.contain('Unknown command: bogus');
+			expect(run('show', after, '--bogus').stderr).to.contain('Unknown option: --bogus');
+			expect(run('show').stderr).to.contain('Usage:');
+			expect(run('--help').code).to.equal(0);
+		});
+
+		it('reports unreadable files', function() {
+			fs.writeFileSync(before, '{}');
+			const { code, stderr } = run('show', before);
+			expect(code).to.equal(1);
+			expect(stderr).to.contain(`${before}: Not a simprof snapshot`);
+			expect(run('show', path.join(tempDir, 'missing.json')).code).to.equal(1);
+		});
+	});
+
+	it('runs as an executable', function() {
+		const stdout = execFileSync(path.resolve(__dirname, '../bin/simprof'), [ 'show', after ], { encoding: 'utf8' });
+		expect(stdout).to.contain('query');
+	});
+});
@@ -0,0 +1,263 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const { expect } = require('chai');
+const { initStats, recordDuration, recordResources } = require('../lib/stats');
+const {
+	displayDuration,
+	displayRate,
+	displayBytes,
+	displaySize,
+	displayEvent,
+	sortStatsRows,
+	renderStatsTable,
+	renderStatsCsv,
+	renderStatsMarkdown,
+	resolveColumns,
+	selectStatsRows,
+	registerFormatter,
+	formatStats
+} = require('../lib/format');
+
+function row(name, ...durations) {
+	let stat = initStats({});
+	for (let duration of durations) recordDuration(stat, duration);
+	return { namespace: 'ns', name, stat };
+}
+
+describe('format', function() {
+	describe('displayDuration', function() {
+		it('formats durations by magnitude', function() {
+			expect(displayDuration(0.25)).to.equal('250µs');
+			expect(displayDuration(2.5)).to.equal('2.50ms');
+			expect(displayDuration(25.25)).to.equal('25.3ms');
+			expect(displayDuration(250.4)).to.equal('250ms');
+			expect(displayDuration(2500)).to.equal('2.50s');
+			expect(displayDuration(125000)).to.equal('2:05');
+		});
+
+		it('returns an empty string for missing values', function() {
+			expect(displayDuration(null)).to.equal('');
+			expect(displayDuration(undefined)).to.equal('');
+			expect(displayDuration(NaN)).to.equal('');
+		});
+	});
+
+	describe('displayRate', function() {
+		it('formats fractions as percentages', function() {
+			expect(displayRate(0.1234)).to.equal('12.3%');
+			expect(displayRate(0)).to.equal('0.0%');
+			expect(displayRate(null)).to.equal('');
+		});
+	});
+
+	describe('displayBytes', function() {
+		it('formats signed byte counts by magnitude', function() {
+			expect(displayBytes(512)).to.equal('+512B');
+			expect(displayBytes(-1536)).to.equal('-1.5KB');
+			expect(displayBytes(3 * 1024 * 1024)).to.equal('+3.0MB');
+			expect(displayBytes(0)).to.equal('+0B');
+			expect(displayBytes(null)).to.equal('');
+		});
+	});
+
+	describe('displaySize', function() {
+		it('formats sizes by magnitude', function() {
+			expect(displaySize(512)).to.equal('512B');
+			expect(displaySize(1536)).to.equal('1.5KB');
+			expect(displaySize(5 * 1024 * 1024 * 1024)).to.equal('5.00GB');
+			expect(displaySize(undefined)).to.equal('');
+		});
+	});
+
+	describe('displayEvent', function() {
+		it('describes events on one line', function() {
+			expect(displayEvent({ type: 'begin', name: 'foo' })).to.equal('begin \'foo\'');
+			expect(displayEvent({ type: 'end', name: 'foo', duration: 12, outcome: 'success' }))
+				.to.equal('end \'foo\' (12.0ms)');
+			expect(displayEvent({ type: 'end', name: 'foo', duration: 1500, outcome: 'error' }, 's'))
+				.to.equal('end \'foo\' (1.5s) failed');
+		});
+	});
+
+	describe('sortStatsRows', function() {
+		it('sorts by a column in descending order', function() {
+			const rows = [ row('a', 1, 1, 1), row('b', 5), row('c', 2, 2) ];
+			const names = (sorted) => sorted.map((sortedRow) => sortedRow.name);
+			expect(names(sortStatsRows(rows))).to.deep.equal([ 'b', 'c', 'a' ]);
+			expect(names(sortStatsRows(rows, 'count'))).to.deep.equal([ 'a', 'c', 'b' ]);
+			expect(names(sortStatsRows(rows, 'average'))).to.deep.equal([ 'b', 'c', 'a' ]);
+			expect(names(sortStatsRows(rows.reverse(), 'name'))).to.deep.equal([ 'a', 'b', 'c' ]);
+		});
+
+		it('rejects unknown columns', function() {
+			expect(() => sortStatsRows([], 'bogus')).to.throw('Unrecognized stats column');
+		});
+	});
+
+	describe('selectStatsRows', function() {
+		const rows = [ row('a', 1, 1, 1), row('b', 5), row('c', 2, 2) ];
+		const names = (selected) => selected.map((selectedRow) => selectedRow.name);
+
+		it('filters by name, by function and by cutoffs', function() {
+			expect(names(selectStatsRows(rows, { filter: /^[ab]$/ }))).to.deep.equal([ 'b', 'a' ]);
+			expect(names(selectStatsRows(rows, { filter: (row) => row.stat.max > 1 }))).to.deep.equal([ 'b', 'c' ]);
+			expect(names(selectStatsRows(rows, { minCount: 2 }))).to.deep.equal([ 'c', 'a' ]);
+			expect(names(selectStatsRows(rows, { minSum: 4 }))).to.deep.equal([ 'b', 'c' ]);
+		});
+
+		it('sorts and limits', function() {
+			expect(names(selectStatsRows(rows, { sortBy: 'count', limit: 2 }))).to.deep.equal([ 'a', 'c' ]);
+			expect(names(selectStatsRows(rows))).to.deep.equal([ 'b', 'c', 'a' ]);
+		});
+	});
+
+	describe('resolveColumns', function() {
+		it('finds columns by name or key', function() {
+			expect(resolveColumns([ 'average', 'p99' ]).map((column) => column.key)).to.deep.equal([ 'avg', 'p99' ]);
+			expect(resolveColumns()).to.have.length.above(10);
+			expect(() => resolveColumns([ 'bogus' ])).to.throw('Unrecognized stats column');
+		});
+
+		it('leaves out optional columns by default', function() {
+			const keys = resolveColumns().map((column) => column.key);
+			expect(keys).to.not.include.members([ 'cpuUser', 'heapDelta' ]);
+			expect(resolveColumns([ 'cpu user', 'heapDelta' ]).map((column) => column.key))
+				.to.deep.equal([ 'cpuUser', 'heapDelta' ]);
+		});
+	});
+
+	describe('resource columns', function() {
+		const measured = row('measured', 10);
+		const usage = { cpuUser: 6, cpuSystem: 2, heapDelta: 2048, loopDelay: 1, loopDelaySamples: 2 };
+		recordResources(measured.stat, usage);
+		const rows = [ measured, row('unmeasured', 1) ];
+		const columns = resolveColumns([ 'cpu user', 'cpu system', 'heap', 'loop delay' ]);
+
+		it('renders averages per block in tables', function() {
+			const lines = renderStatsTable(rows, { columns }).split('\n');
+			expect(lines[0]).to.match(/^name\s+cpu user\s+cpu system\s+heap\s+loop delay$/);
+			expect(lines[2]).to.match(/^measured\s+6\.00ms\s+2\.00ms\s+\+2\.0KB\s+1\.00ms\s*$/);
+			expect(lines[3].trim()).to.equal('unmeasured');
+		});
+
+		it('keeps raw values in CSV', function() {
+			const csv = renderStatsCsv(rows, { columns, units: 's' }).split('\n');
+			expect(csv[0]).to.equal('namespace,name,cpuUser,cpuSystem,heapDelta,loopDelay,sampled');
+			expect(csv[1]).to.equal('ns,measured,0.006,0.002,2048,0.001,false');
+			expect(csv[2]).to.equal('ns,unmeasured,,,,,false');
+		});
+	});
+
+	describe('formatStats', function() {
+		const sections = [
+			{ namespace: 'ns', title: 'ns', rows: [ row('foo', 1500), row('bar', 2) ], events: [
+				{ type: 'begin', name: 'foo' },
+				{ type: 'end', name: 'foo', duration: 1500, outcome: 'error' }
+			] },
+			{ namespace: 'other', title: 'other (last 1m)', rows: [], events: [] }
+		];
+
+		it('renders tables by default', function() {
+			const output = formatStats(sections, { columns: [ 'sum', 'count' ], units: 'ms' });
+			expect(output).to.equal([
+				'',
+				'================================',
+				'ns:',
+				'',
+				'name  sum     count',
+				'----  ------  -----',
+				'foo   1500ms      1',
+				'bar   2ms         1',
+				'',
+				'recent events:',
+				'begin \'foo\'',
+				'end \'foo\' (1500ms) failed',
+				'',
+				'================================',
+				'other (last 1m):',
+				'',
+				'',
+				'',
+				'',
+				''
+			].join('\n'));
+		});
+
+		it('renders JSON', function() {
+			const output = JSON.parse(formatStats(sections, { format: 'json', units: 's', sortBy: 'name' }));
+			expect(output.namespaces).to.have.length(2);
+			expect(output.namespaces[0]).to.include({ namespace: 'ns', title: 'ns' });
+			expect(output.namespaces[0].blocks[1]).to.include({ name: 'foo', sum: 1.5, count: 1, errorRate: 0 });
+			expect(output.namespaces[1].blocks).to.deep.equal([]);
+		});
+
+		it('renders CSV and Markdown', function() {
+			expect(formatStats(sections, { format: 'csv', limit: 1 }).trim().split('\n')).to.have.length(2);
+			const markdown = formatStats(sections, { format: 'markdown', columns: [ 'count' ] });
+			expect(markdown).to.equal([
+				'## ns',
+				'',
+				'| name | count |',
+				'| --- | ---: |',
+				'| foo | 1 |',
+				'| bar | 1 |',
+				'',
+				'## other (last 1m)',
+				'',
+				'| name | count |',
+				'| --- | ---: |',
+				''
+			].join('\n'));
+		});
+
+		it('uses registered formatters', function() {
+			registerFormatter('names', (formatted, options) => {
+				expect(options.columns[0].key).to.equal('sum');
+				return formatted.map((section) => section.rows.map((formattedRow) => formattedRow.name).join(','))
+					.join(';');
+			});
+			expect(formatStats(sections, { format: 'names' })).to.equal('foo,bar;');
+			expect(() => registerFormatter('bogus', 'bogus')).to.throw(XError);
+		});
+
+		it('rejects unknown formats and units', function() {
+			expect(() => formatStats(sections, { format: 'bogus' })).to.throw('Unrecognized stats format');
+			expect(() => formatStats(sections, { units: 'h' })).to.throw('Unrecognized duration units');
+		});
+	});
+
+	describe('renderers', function() {
+		it('renders a table', function() {
+			const output = renderStatsTable([ row('foo', 2) ]);
+			expect(output).to.match(/^name\s+sum\s+average/);
+			expect(output).to.match(/foo\s+2\.00ms/);
+		});
+
+		it('marks sampled stats', function() {
+			let sampled = row('foo');
+			recordDuration(sampled.stat, 2, 10);
+			expect(renderStatsTable([ sampled ])).to.match(/foo \(sampled\)\s+20\.0ms.*\s10\s+0\s+0\.0%/);
+			expect(renderStatsMarkdown([ sampled ])).to.contain('| foo (sampled) |');
+			expect(renderStatsCsv([ sampled ])).to.match(/,10,0,0,0,0,true\n$/);
+		});
+
+		it('renders CSV with durations in ms', function() {
+			const lines = renderStatsCsv([ row('foo, "bar"', 2), row('empty') ]).trim().split('\n');
+			const columns = 'sum,avg,std,min,p50,p90,p95,p99,p999,max,range,count,errorCount,errorRate,' +
+				'inFlight,peakConcurrency';
+			expect(lines[0]).to.equal(`namespace,name,${columns},sampled`);
+			expect(lines[1]).to.match(/^ns,"foo, ""bar""",2,2,0,2,[\d.]+,/);
+			expect(lines[2]).to.equal('ns,empty,0,0,0,,,,,,,,,0,0,,0,0,false');
+		});
+
+		it('renders Markdown', function() {
+			const lines = renderStatsMarkdown([ row('a|b', 2) ]).trim().split('\n');
+			expect(lines[0]).to.match(/^\| name \| sum \| average \|/);
+			expect(lines[1]).to.match(/^\| --- \| ---: \|/);
+			expect(lines[2]).to.match(/^\| a\\\|b \| 2\.00ms \|.* \| 1 \| 0 \| 0\.0% \| 0 \| 0 \|$/);
+		});
+	});
+});
@@ -0,0 +1,19 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { initStats, recordDuration } = require('../../lib/stats');
+
+/**
+ * Create a stats object with some durations recorded
+ *
+ * @param {...Number} durations - in ms
+ * @returns {Object}
+ */
+function statsOf(...durations) {
+	let stats = initStats({});
+	for (let duration of durations) recordDuration(stats, duration);
+	return stats;
+}
+
+module.exports = { statsOf };
@@ -0,0 +1,109 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const { expect } = require('chai');
+const XError = require('xerror');
+
+const Histogram = require('../lib/histogram');
+
+describe('Histogram', function() {
+	describe('#percentile', function() {
+		it('estimates percentiles within the bucket precision', function() {
+			const histogram = new Histogram();
+			_.times(1000, (n) => histogram.record(n + 1));
+
+			expect(histogram.count).to.equal(1000);
+			expect(histogram.percentile(50)).to.be.closeTo(500, 500 * 0.02);
+			expect(histogram.percentile(90)).to.be.closeTo(900, 900 * 0.02);
+			expect(histogram.percentile(99)).to.be.closeTo(990, 990 * 0.02);
+			expect(histogram.percentile(99.9)).to.be.closeTo(999, 999 * 0.02);
+			expect(histogram.percentile(100)).to.equal(1000);
+		});
+
+		it('handles sub-millisecond values', function() {
+			const histogram = new Histogram();
+			_.times(100, () => histogram.record(0.05));
+			expect(histogram.percentile(50)).to.be.closeTo(0.05, 0.001);
+		});
+
+		it('clamps estimates to the recorded range', function() {
+			const histogram = new Histogram();
+			histogram.record(7);
+			expect(histogram.percentile(0)).to.equal(7);
+			expect(histogram.percentile(50)).to.equal(7);
+			expect(histogram.percentile(100)).to.equal(7);
+		});
+
+		it('returns NaN when empty', function() {
+			expect(new Histogram().percentile(50)).to.be.NaN;
+		});
+
+		it('supports weighted records', function() {
+			const histogram = new Histogram();
+			histogram.record(1, 99);
+			histogram.record(1000);
+			expect(histogram.count).to.equal(100);
+			expect(histogram.percentile(99)).to.be.closeTo(1, 0.02);
+			expect(histogram.percentile(100)).to.equal(1000);
+		});
+	});
+
+	it('keeps the number of buckets bounded', function() {
+		const histogram = new Histogram();
+		_.times(10000, (n) => histogram.record(Math.pow(10, n % 20 - 6) * (1 + n / 10000)));
+		expect(_.size(histogram.counts)).to.be.at.most(histogram.maxIndex + 1);
+		histogram.record(Number.MAX_VALUE);
+		expect(histogram.counts[histogram.maxIndex]).to.be.above(0);
+	});
+
+	describe('#merge', function() {
+		it('combines counts and ranges', function() {
+			const a = new Histogram().record(1).record(2);
+			const b = new Histogram().record(100);
+			a.merge(b);
+			expect(a.count).to.equal(3);
+			expect(a.min).to.equal(1);
+			expect(a.max).to.equal(100);
+			expect(a.percentile(100)).to.equal(100);
+		});
+
+		it('rejects histograms with different layouts', function() {
+			expect(() => new Histogram().merge(new Histogram({ base: 1.1 }))).to.throw(XError, 'bucket layouts');
+		});
+	});
+
+	describe('#toJSON', function() {
+		it('round-trips through JSON', function() {
+			const histogram = new Histogram();
+			_.times(100, (n) => histogram.record(n));
+			const copy = Histogram.fromJSON(JSON.parse(JSON.stringify(histogram)));
+			expect(copy.count).to.equal(100);
+			expect(copy.min).to.equal(0);
+			expect(copy.max).to.equal(99);
+			expect(copy.percentile(90)).to.equal(histogram.percentile(90));
+		});
+
+		it('round-trips an empty histogram', function() {
+			const copy = Histogram.fromJSON(JSON.parse(JSON.stringify(new Histogram())));
+			expect(copy.count).to.equal(0);
+			expect(copy.min).to.equal(Infinity);
+			expect(copy.max).to.equal(-Infinity);
+		});
+	});
+
+	describe('#toAscii', function() {
+		it('renders at most `rows` bars', function() {
+			const histogram = new Histogram();
+			_.times(1000, (n) => histogram.record(n + 1));
+			const lines = histogram.toAscii({ rows: 10, width: 20 }).trim().split('\n');
+			expect(lines.length).to.be.at.most(10);
+			for (let line of lines) expect(line).to.match(/ \| #* *\d+$/);
+		});
+
+		it('renders nothing when empty', function() {
+			expect(new Histogram().toAscii()).to.equal('');
+		});
+	});
+});
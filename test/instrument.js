@@ -0,0 +1,126 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const Profiler = require('../lib');
+
+describe('instrument', function() {
+	let profiler;
+
+	beforeEach(function() {
+		Profiler.enable();
+		profiler = new Profiler('instrument');
+		for (let name of Object.keys(profiler.stats)) {
+			if (!profiler.stats[name].isHidden) delete profiler.stats[name];
+		}
+	});
+
+	afterEach(function() {
+		Profiler.disable();
+	});
+
+	function makeClass() {
+		return class Widget {
+			constructor() { this.size = 2; }
+			grow(by) { this.size += by; return this.size; }
+			async load() { await null; return this.size; }
+			fail() { throw new Error('failed'); }
+			get area() { return this.size * this.size; }
+			static create() { return new Widget(); }
+		};
+	}
+
+	const counts = () => {
+		let result = {};
+		for (let name of Object.keys(profiler.stats)) {
+			if (!profiler.stats[name].isHidden) result[name] = profiler.stats[name].count;
+		}
+		return result;
+	};
+
+	it('wraps sync, async and static methods of a class', async function() {
+		const Widget = profiler.instrument(makeClass());
+		const widget = Widget.create();
+		expect(widget.grow(3)).to.equal(5);
+		expect(await widget.load()).to.equal(5);
+		expect(() => widget.fail()).to.throw('failed');
+		expect(widget.area).to.equal(25);
+		expect(counts()).to.deep.equal({ 'Widget.create': 1, 'Widget#grow': 1, 'Widget#load': 1, 'Widget#fail': 1 });
+	});
+
+	it('wraps getters on request', function() {
+		const Widget = profiler.instrument(makeClass(), { getters: true, include: [ 'area', /^gr/ ] });
+		const widget = new Widget();
+		expect(widget.area).to.equal(4);
+		widget.grow(1);
+		expect(counts()).to.deep.equal({ 'Widget#area': 1, 'Widget#grow': 1 });
+	});
+
+	it('excludes methods', function() {
+		const Widget = profiler.instrument(makeClass(), { exclude: /^(grow|create)$/, name: 'W' });
+		const widget = Widget.create();
+		widget.grow(1);
+		return widget.load().then(() => {
+			expect(counts()).to.deep.equal({ 'W#load': 1 });
+		});
+	});
+
+	it('wraps prototypes and plain objects', function() {
+		const Widget = makeClass();
+		profiler.instrument(Widget.prototype);
+		new Widget().grow(1);
+		const api = profiler.instrument({ ping() { return 'pong'; }, value: 1 }, { name: 'api' });
+		expect(api.ping()).to.equal('pong');
+		const bare = profiler.instrument({ ping() { return 'pong'; } });
+		bare.ping();
+		expect(counts()).to.deep.equal({ 'Widget#grow': 1, 'api.ping': 1, 'ping': 1 });
+	});
+
+	it('does not wrap methods twice', function() {
+		const Widget = makeClass();
+		profiler.instrument(Widget);
+		profiler.instrument(Widget);
+		new Widget().grow(1);
+		expect(counts()).to.deep.equal({ 'Widget#grow': 1 });
+	});
+
+	it('is reversible', function() {
+		const Widget = makeClass();
+		const { grow } = Widget.prototype;
+		const { create } = Widget;
+		profiler.instrument(Widget, { getters: true });
+		expect(Widget.prototype.grow).to.not.equal(grow);
+		profiler.uninstrument(Widget);
+		expect(Widget.prototype.grow).to.equal(grow);
+		expect(Widget.create).to.equal(create);
+		expect(Object.getOwnPropertyDescriptor(Widget.prototype, 'grow').enumerable).to.be.false;
+		Widget.create().grow(1);
+		expect(counts()).to.deep.equal({});
+
+		profiler.instrument(Widget);
+		new Widget().grow(1);
+		expect(counts()).to.deep.equal({ 'Widget#grow': 1 });
+	});
+
+	describe('profiled', function() {
+		it('works as a legacy decorator', function() {
+			const Widget = makeClass();
+			const descriptor = Object.getOwnPropertyDescriptor(Widget.prototype, 'grow');
+			Object.defineProperty(Widget.prototype, 'grow', profiler.profiled()(Widget.prototype, 'grow', descriptor));
+			const staticDescriptor = Object.getOwnPropertyDescriptor(Widget, 'create');
+			Object.defineProperty(Widget, 'create', profiler.profiled('make')(Widget, 'create', staticDescriptor));
+			Widget.create().grow(1);
+			expect(counts()).to.deep.equal({ 'Widget#grow': 1, 'make': 1 });
+		});
+
+		it('works as a standard decorator', function() {
+			const Widget = makeClass();
+			const grow = profiler.profiled()(Widget.prototype.grow, { kind: 'method', name: 'grow', static: false });
+			const create = profiler.profiled()(Widget.create, { kind: 'method', name: 'create', static: true });
+			expect(grow.call({ size: 1 }, 1)).to.equal(2);
+			create();
+			expect(counts()).to.deep.equal({ '#grow': 1, '.create': 1 });
+		});
+	});
+});
@@ -0,0 +1,43 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const NamespaceFilter = require('../lib/namespace-filter');
+
+describe('NamespaceFilter', function() {
+	it('matches names and wildcards', function() {
+		const filter = new NamespaceFilter('db:*, http');
+		expect(filter.matches('db:query')).to.be.true;
+		expect(filter.matches('db:')).to.be.true;
+		expect(filter.matches('http')).to.be.true;
+		expect(filter.matches('http:client')).to.be.false;
+		expect(filter.matches('xdb:query')).to.be.false;
+	});
+
+	it('excludes patterns with a leading dash', function() {
+		const filter = new NamespaceFilter('*,-db:cache');
+		expect(filter.matches('db:query')).to.be.true;
+		expect(filter.matches('db:cache')).to.be.false;
+	});
+
+	it('treats other characters literally', function() {
+		const filter = new NamespaceFilter('a.b(c)');
+		expect(filter.matches('a.b(c)')).to.be.true;
+		expect(filter.matches('axb(c)')).to.be.false;
+	});
+
+	it('matches nothing without patterns', function() {
+		expect(new NamespaceFilter().matches('db')).to.be.false;
+		expect(new NamespaceFilter('-db').matches('http')).to.be.false;
+	});
+
+	it('updates cached results when patterns are added', function() {
+		const filter = new NamespaceFilter('db:*');
+		expect(filter.matches('db:cache')).to.be.true;
+		filter.exclude('db:cache');
+		expect(filter.matches('db:cache')).to.be.false;
+		filter.include('http');
+		expect(filter.matches('http')).to.be.true;
+	});
+});
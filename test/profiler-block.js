@@ -7,6 +7,7 @@ const _ = require('lodash');
 const { expect } = require('chai');
 
 const ProfilerBlock = require('../lib/profiler-block');
+const WarningPolicy = require('../lib/warning-policy');
 
 describe('ProfilerBlock', function() {
 	describe('@constructor', function() {
@@ -41,6 +42,19 @@ describe('ProfilerBlock', function() {
 			expect(block.duration).not.to.be.undefined;
 		});
 
+		it('measures `duration` from a monotonic clock with sub-millisecond precision', function() {
+			const stats = {};
+			const block = new ProfilerBlock(0, 'foo', { stats });
+			block.end();
+			expect(block.startedOn).to.be.an.instanceof(Date);
+			expect(block.endedOn).to.be.an.instanceof(Date);
+			expect(block.startTime).to.be.a('number');
+			expect(block.endTime).to.be.at.least(block.startTime);
+			expect(block.duration).to.equal(block.endTime - block.startTime);
+			expect(block.duration).to.be.below(1);
+			expect(stats.sum).to.equal(block.duration);
+		});
+
 		it('returns a stats object', function() {
 			const id = 0;
 			const name = 'foo';
@@ -78,6 +92,104 @@ describe('ProfilerBlock', function() {
 				.then(() => expect(hasWarned).to.be.true);
 		});
 
+		it('warns according to its warning policy', function() {
+			const stats = {};
+			const warningPolicy = new WarningPolicy({ minCount: 1, threshold: 0 });
+			const block = new ProfilerBlock(0, 'foo', { stats, namespace: 'ns', warningPolicy });
+
+			let warning = null;
+			block.on('warning', (err) => { warning = err; });
+			block.end();
+
+			expect(warning.data).to.include({ namespace: 'ns', block: 'foo', duration: block.duration, threshold: 0 });
+			expect(stats.warningCount).to.equal(1);
+		});
+
+		it('updates path stats with inclusive and self durations', function() {
+			const parentPathStats = { count: 0, sum: 0, selfSum: 0 };
+			const childPathStats = { count: 0, sum: 0, selfSum: 0 };
+			const parent = new ProfilerBlock(0, 'foo', { stats: {}, pathStats: parentPathStats });
+			const child = new ProfilerBlock(1, 'bar', { stats: {}, parent, pathStats: childPathStats });
+			child.end();
+			parent.end();
+
+			expect(parent.childDuration).to.equal(child.duration);
+			expect(childPathStats.count).to.equal(1);
+			expect(childPathStats.sum).to.equal(child.duration);
+			expect(parentPathStats.sum).to.equal(parent.duration);
+			expect(parentPathStats.selfSum).to.be.closeTo(parent.duration - child.duration, 1e-9);
+		});
+
+		it('weights sampled blocks by the inverse of their sample rate', function() {
+			const stats = {};
+			const pathStats = { count: 0, sum: 0, selfSum: 0 };
+			const block = new ProfilerBlock(0, 'foo', { stats, pathStats, sampleRate: 0.25 });
+			block.end();
+
+			expect(block.sampleRate).to.equal(0.25);
+			expect(stats.count).to.equal(4);
+			expect(stats.sum).to.be.closeTo(block.duration * 4, 1e-9);
+			expect(stats.sampled).to.be.true;
+			expect(pathStats.count).to.equal(4);
+			expect(pathStats.sum).to.be.closeTo(block.duration * 4, 1e-9);
+		});
+
+		it('keeps the error the run failed with', function() {
+			const block = new ProfilerBlock(0, 'foo', { stats: {} });
+			expect(block.error).to.equal(null);
+			const err = new Error('failed');
+			block.end(err);
+			expect(block.error).to.equal(err);
+			expect(block.outcome).to.equal('error');
+		});
+
+		it('records the stats of each outcome', function() {
+			const stats = {};
+			const succeeded = new ProfilerBlock(0, 'foo', { stats, tagStats: {}, sampleRate: 0.5 });
+			succeeded.end();
+			expect(succeeded.outcome).to.equal('success');
+			const failed = new ProfilerBlock(1, 'foo', { stats });
+			failed.end('error');
+			expect(failed.outcome).to.equal('error');
+			expect(failed.error).to.equal(null);
+			expect(stats).to.include({ count: 3, errorCount: 1 });
+			expect(stats.outcomes.success.count).to.equal(2);
+			expect(stats.outcomes.error.count).to.equal(1);
+			expect(succeeded.tagStats.outcomes.success.count).to.equal(2);
+		});
+
+		it('counts only errors as failures', function() {
+			const stats = {};
+			const resolved = new ProfilerBlock(0, 'foo', { stats });
+			return Promise.resolve({ rows: [] }).then(resolved.end.bind(resolved)).then(() => {
+				expect(resolved.outcome).to.equal('success');
+				expect(resolved.error).to.equal(null);
+
+				const block = new ProfilerBlock(1, 'foo', { stats });
+				block.end('done');
+				expect(block.outcome).to.equal('success');
+				block.end({ code: 'ECONNRESET' });
+				expect(block.outcome).to.equal('error');
+				block.end(true);
+				expect(block.outcome).to.equal('success');
+				expect(block.error).to.equal(null);
+				expect(stats).to.include({ count: 4, errorCount: 1 });
+				expect(stats.errorCodes).to.deep.equal({ ECONNRESET: 1 });
+			});
+		});
+
+		it('fails with any value', function() {
+			const stats = {};
+			const block = new ProfilerBlock(0, 'foo', { stats });
+			block.fail('rejected');
+			expect(block.outcome).to.equal('error');
+			expect(block.error).to.equal('rejected');
+			block.fail();
+			expect(block.error).to.equal(null);
+			expect(stats).to.include({ count: 2, errorCount: 2 });
+			expect(stats.errorCodes).to.deep.equal({ unknown: 2 });
+		});
+
 		it('emits an "end" event', function() {
 			const id = 0;
 			const name = 'foo';
@@ -0,0 +1,87 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const http = require('http');
+const { expect } = require('chai');
+const Profiler = require('../lib');
+const ProfilerBlock = require('../lib/profiler-block');
+const { renderPrometheus, createPrometheusHandler, CONTENT_TYPE } = require('../lib/prometheus');
+
+function get(server, path) {
+	return new Promise((resolve, reject) => {
+		http.get({ port: server.address().port, path }, (res) => {
+			let body = '';
+			res.setEncoding('utf8');
+			res.on('data', (chunk) => { body += chunk; });
+			res.on('end', () => resolve({ res, body }));
+		}).on('error', reject);
+	});
+}
+
+describe('prometheus', function() {
+	describe('renderPrometheus', function() {
+		it('renders durations as a summary and warnings as a counter', function() {
+			const stats = {};
+			new ProfilerBlock(1, 'foo', { stats }).end();
+			stats.warningCount = 2;
+			const output = renderPrometheus({ ns: { foo: stats, hidden: { isHidden: true } } });
+
+			expect(output).to.contain('# TYPE simprof_block_duration_seconds summary\n');
+			const median = /\nsimprof_block_duration_seconds\{namespace="ns",block="foo",quantile="0.5"\} [\d.e-]+\n/;
+			expect(output).to.match(median);
+			expect(output).to.contain('simprof_block_duration_seconds{namespace="ns",block="foo",quantile="0.999"}');
+			expect(output).to.contain(
+				`simprof_block_duration_seconds_sum{namespace="ns",block="foo"} ${stats.sum / 1000}\n`
+			);
+			expect(output).to.contain('simprof_block_duration_seconds_count{namespace="ns",block="foo"} 1\n');
+			expect(output).to.contain('# TYPE simprof_block_warnings_total counter\n');
+			expect(output).to.contain('simprof_block_warnings_total{namespace="ns",block="foo"} 2\n');
+			expect(output).not.to.contain('hidden');
+		});
+
+		it('escapes label values and supports a prefix', function() {
+			const stats = {};
+			new ProfilerBlock(1, 'say "hi"\\\n', { stats }).end();
+			const output = renderPrometheus({ ns: { 'say "hi"\\\n': stats } }, { prefix: 'app_' });
+			const block = 'say \\"hi\\"\\\\\\n';
+			expect(output).to.contain(`app_block_duration_seconds_count{namespace="ns",block="${block}"} 1\n`);
+		});
+	});
+
+	describe('createPrometheusHandler', function() {
+		let server;
+
+		afterEach(function(done) {
+			if (server) server.close(done);
+			else done();
+			server = null;
+		});
+
+		it('serves the rendered stats', async function() {
+			Profiler.enable();
+			new Profiler('prometheus-handler').begin('foo').end();
+			Profiler.disable();
+
+			server = http.createServer(Profiler.createPrometheusHandler({ path: '/metrics' }));
+			await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+			let { res, body } = await get(server, '/metrics');
+			expect(res.statusCode).to.equal(200);
+			expect(res.headers['content-type']).to.equal(CONTENT_TYPE);
+			expect(body).to.contain('namespace="prometheus-handler",block="foo"');
+
+			({ res } = await get(server, '/other'));
+			expect(res.statusCode).to.equal(404);
+		});
+
+		it('passes other paths and errors to `next`', function() {
+			const handler = createPrometheusHandler(() => { throw new Error('fail'); }, { path: '/metrics' });
+			let nextArgs = [];
+			handler({ url: '/other' }, {}, (...args) => nextArgs.push(args));
+			handler({ url: '/metrics?x=1' }, {}, (...args) => nextArgs.push(args));
+			expect(nextArgs[0]).to.deep.equal([]);
+			expect(nextArgs[1][0].message).to.equal('fail');
+		});
+	});
+});
@@ -0,0 +1,63 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const ResourceMonitor = require('../lib/resource-monitor');
+
+function busyWait(ms) {
+	const end = Date.now() + ms;
+	while (Date.now() < end);
+}
+
+describe('ResourceMonitor', function() {
+	let monitor;
+
+	afterEach(function() {
+		if (monitor) monitor.stop();
+		monitor = null;
+	});
+
+	it('measures CPU time and heap usage', function() {
+		monitor = new ResourceMonitor({ eventLoopDelay: false }).start();
+		const start = monitor.sample();
+		busyWait(30);
+		const kept = new Array(100000).fill(0).map((value, index) => ({ index }));
+		const usage = monitor.usageSince(start);
+		expect(usage.cpuUser + usage.cpuSystem).to.be.above(10);
+		expect(usage.heapDelta).to.be.above(0);
+		expect(usage).to.not.have.property('loopDelay');
+		expect(kept).to.have.length(100000);
+	});
+
+	it('measures the event loop delay beyond the resolution', async function() {
+		monitor = new ResourceMonitor({ resolution: 10 }).start();
+		const start = monitor.sample();
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		busyWait(60);
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		const usage = monitor.usageSince(start);
+		expect(usage.loopDelaySamples).to.be.above(0);
+		expect(usage.loopDelay).to.be.above(1);
+	});
+
+	it('measures the event loop delay with a timer where histograms have no count', async function() {
+		monitor = new ResourceMonitor({ resolution: 10 });
+		// As on Node versions before 16.14
+		monitor.histogram = null;
+		monitor.start();
+		const start = monitor.sample();
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		busyWait(60);
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		const usage = monitor.usageSince(start);
+		expect(usage.loopDelaySamples).to.be.above(0);
+		expect(usage.loopDelay).to.be.above(1);
+	});
+
+	it('reports no loop delay without samples', function() {
+		monitor = new ResourceMonitor().start();
+		const usage = monitor.usageSince(monitor.sample());
+		expect(usage).to.include({ loopDelaySamples: 0, loopDelay: null });
+	});
+});
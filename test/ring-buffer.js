@@ -0,0 +1,52 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+
+const RingBuffer = require('../lib/ring-buffer');
+
+describe('RingBuffer', function() {
+	it('holds items in insertion order', function() {
+		const buffer = new RingBuffer(3);
+		buffer.push(1).push(2);
+		expect(buffer.length).to.equal(2);
+		expect(buffer.toArray()).to.deep.equal([ 1, 2 ]);
+	});
+
+	it('overwrites the oldest items once full', function() {
+		const buffer = new RingBuffer(3);
+		for (let n = 1; n <= 5; n++) buffer.push(n);
+		expect(buffer.length).to.equal(3);
+		expect(buffer.dropped).to.equal(2);
+		expect(buffer.toArray()).to.deep.equal([ 3, 4, 5 ]);
+	});
+
+	it('resizes, keeping the newest items', function() {
+		const buffer = new RingBuffer(3);
+		for (let n = 1; n <= 4; n++) buffer.push(n);
+		buffer.resize(2);
+		expect(buffer.toArray()).to.deep.equal([ 3, 4 ]);
+		expect(buffer.dropped).to.equal(2);
+		buffer.resize(4).push(5).push(6);
+		expect(buffer.toArray()).to.deep.equal([ 3, 4, 5, 6 ]);
+		expect(buffer.dropped).to.equal(2);
+	});
+
+	it('clears', function() {
+		const buffer = new RingBuffer(3);
+		for (let n = 1; n <= 5; n++) buffer.push(n);
+		buffer.clear();
+		expect(buffer.toArray()).to.deep.equal([]);
+		expect(buffer.dropped).to.equal(0);
+		buffer.push(6);
+		expect(buffer.toArray()).to.deep.equal([ 6 ]);
+	});
+
+	it('drops everything with zero capacity', function() {
+		const buffer = new RingBuffer(0);
+		buffer.push(1);
+		expect(buffer.toArray()).to.deep.equal([]);
+		expect(buffer.dropped).to.equal(1);
+	});
+});
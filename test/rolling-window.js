@@ -0,0 +1,63 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const { expect } = require('chai');
+
+const RollingWindow = require('../lib/rolling-window');
+
+describe('RollingWindow', function() {
+	const minute = 60 * 1000;
+
+	it('aggregates durations within a window', function() {
+		const window = new RollingWindow();
+		const now = 100 * minute;
+		window.record(10, now - 10 * minute);
+		window.record(20, now - 3 * minute);
+		window.record(30, now - 30 * 1000);
+		window.record(40, now);
+
+		const last1m = window.query('1m', now);
+		expect(last1m.window).to.equal(minute);
+		expect(last1m.count).to.equal(2);
+		expect(last1m.sum).to.equal(70);
+		expect(last1m.avg).to.equal(35);
+		expect(last1m.std).to.equal(5);
+		expect(last1m.min).to.equal(30);
+		expect(last1m.max).to.equal(40);
+
+		expect(window.query('5m', now).count).to.equal(3);
+		expect(window.query('15m', now).count).to.equal(4);
+		expect(window.query(2 * minute, now).count).to.equal(2);
+	});
+
+	it('weights durations', function() {
+		const window = new RollingWindow();
+		window.record(10, minute, 3);
+		window.record(20, minute);
+		expect(window.query('1m', minute)).to.include({ count: 4, sum: 50, sumSq: 700, min: 10, max: 20 });
+	});
+
+	it('forgets buckets as the ring wraps', function() {
+		const window = new RollingWindow({ bucketDuration: 1000, bucketCount: 10 });
+		window.record(1, 500);
+		window.record(2, 10500);
+		expect(window.query(10000, 10500).count).to.equal(1);
+		expect(window.query(10000, 10500).sum).to.equal(2);
+		expect(window.query(10000, 30000).count).to.equal(0);
+	});
+
+	it('returns empty stats when nothing was recorded', function() {
+		const stats = new RollingWindow().query('5m');
+		expect(stats.count).to.equal(0);
+		expect(stats.avg).to.equal(0);
+		expect(stats.min).to.equal(Infinity);
+	});
+
+	it('rejects unknown or too long windows', function() {
+		const window = new RollingWindow();
+		expect(() => window.query('2d')).to.throw(XError);
+		expect(() => window.query(16 * minute)).to.throw(XError);
+	});
+});
@@ -0,0 +1,84 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const Profiler = require('../lib');
+const SignalHandler = require('../lib/signal-handler');
+
+describe('SignalHandler', function() {
+	const signal = 'SIGUSR2';
+
+	beforeEach(function() {
+		Profiler.disable();
+	});
+
+	afterEach(function() {
+		Profiler.uninstallSignalHandler();
+	});
+
+	it('enables the profiler on the first signal and dumps on later ones', function() {
+		let dumps = [];
+		Profiler.installSignalHandler({ signal, destination: (output) => dumps.push(output) });
+
+		process.emit(signal);
+		expect(Profiler.isEnabled()).to.be.true;
+		expect(dumps).to.have.length(0);
+
+		new Profiler('signal-handler').begin('foo').end();
+
+		process.emit(signal);
+		expect(dumps).to.have.length(1);
+		expect(dumps[0]).to.contain('signal-handler');
+	});
+
+	it('dumps on the first signal if already enabled', function() {
+		let dumps = [];
+		Profiler.enable();
+		Profiler.installSignalHandler({ signal, destination: (output) => dumps.push(output) });
+		process.emit(signal);
+		expect(dumps).to.have.length(1);
+	});
+
+	it('writes dumps to timestamped files', function() {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simprof-'));
+		Profiler.enable();
+		Profiler.installSignalHandler({ signal, destination: path.join(dir, 'dump.txt') });
+		process.emit(signal);
+
+		const files = fs.readdirSync(dir);
+		expect(files).to.have.length(1);
+		expect(files[0]).to.match(/^dump-\d{4}-\d{2}-\d{2}T[\d-]+Z\.txt$/);
+		fs.unlinkSync(path.join(dir, files[0]));
+		fs.rmdirSync(dir);
+	});
+
+	it('stops listening when uninstalled', function() {
+		const listenerCount = process.listenerCount(signal);
+		Profiler.installSignalHandler({ signal, destination: () => {} });
+		expect(process.listenerCount(signal)).to.equal(listenerCount + 1);
+		Profiler.uninstallSignalHandler();
+		expect(process.listenerCount(signal)).to.equal(listenerCount);
+		expect(Profiler.signalHandler).to.equal(null);
+	});
+
+	it('replaces a previously installed handler', function() {
+		const listenerCount = process.listenerCount(signal);
+		Profiler.installSignalHandler({ signal, destination: () => {} });
+		Profiler.installSignalHandler({ signal, destination: () => {} });
+		expect(process.listenerCount(signal)).to.equal(listenerCount + 1);
+	});
+
+	describe('.timestampedPath', function() {
+		it('inserts a timestamp before the extension', function() {
+			const date = new Date('2016-01-02T03:04:05.006Z');
+			expect(SignalHandler.timestampedPath('/tmp/prof.txt', date))
+				.to.equal('/tmp/prof-2016-01-02T03-04-05-006Z.txt');
+			expect(SignalHandler.timestampedPath('/tmp/prof', date))
+				.to.equal('/tmp/prof-2016-01-02T03-04-05-006Z');
+		});
+	});
+});
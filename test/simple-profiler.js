@@ -2,10 +2,16 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { execFileSync } = require('child_process');
 const { expect } = require('chai');
 const XError = require('xerror');
 const Profiler = require('../lib');
 const ProfilerBlock = require('../lib/profiler-block');
+const WarningPolicy = require('../lib/warning-policy');
 
 describe('Profiler', function() {
 	beforeEach(function() {
@@ -55,6 +61,59 @@ describe('Profiler', function() {
 			expect(Profiler.isEnabled()).to.be.false;
 			expect(hasBegun).to.be.false;
 		});
+
+		it('disables namespaces matching patterns', function() {
+			Profiler.enable();
+			Profiler.disable('db:cache');
+			expect(Profiler.isEnabled('db:cache')).to.be.false;
+			expect(Profiler.isEnabled('db:query')).to.be.true;
+
+			Profiler.enable('db:*');
+			Profiler.disable('db:cache');
+			expect(Profiler.isEnabled('db:cache')).to.be.false;
+			expect(Profiler.isEnabled('http')).to.be.false;
+		});
+	});
+
+	describe('@enable with patterns', function() {
+		it('enables only matching namespaces', function() {
+			Profiler.enable('pattern-db:*,-pattern-db:cache');
+			expect(Profiler.isEnabled()).to.be.true;
+			expect(Profiler.isEnabled('pattern-db:query')).to.be.true;
+			expect(Profiler.isEnabled('pattern-db:cache')).to.be.false;
+			expect(Profiler.isEnabled('pattern-http')).to.be.false;
+
+			const query = new Profiler('pattern-db:query');
+			const cache = new Profiler('pattern-db:cache');
+			expect(query.isEnabled()).to.be.true;
+			expect(cache.isEnabled()).to.be.false;
+			expect(cache.begin('get')).to.equal(cache.disabledBlock);
+			expect(cache.wrap(() => 1, 'get')()).to.equal(1);
+			cache.sequence('get').end();
+			expect(cache.getStats()).to.not.have.property('get');
+			query.begin('find').end();
+			expect(query.getStats('find').count).to.equal(1);
+		});
+
+		it('replaces earlier patterns', function() {
+			Profiler.enable('pattern-a');
+			Profiler.enable('pattern-b');
+			expect(Profiler.isEnabled('pattern-a')).to.be.false;
+			expect(Profiler.isEnabled('pattern-b')).to.be.true;
+			Profiler.enable();
+			expect(Profiler.isEnabled('pattern-a')).to.be.true;
+		});
+
+		it('reads patterns from the SIMPROF environment variable', function() {
+			const script = 'const Profiler = require(\'./lib\');' +
+				'console.log(Profiler.isEnabled(\'db:query\'), Profiler.isEnabled(\'db:cache\'))';
+			const stdout = execFileSync(process.execPath, [ '-e', script ], {
+				cwd: path.resolve(__dirname, '..'),
+				env: Object.assign({}, process.env, { SIMPROF: 'db:*,-db:cache' }),
+				encoding: 'utf8'
+			});
+			expect(stdout.trim()).to.equal('true false');
+		});
 	});
 
 	describe('@constructor', function() {
@@ -67,6 +126,18 @@ describe('Profiler', function() {
 			expect(profiler1).to.equal(profiler2);
 		});
 
+		it('should keep the registered stats of existing namespaces', function() {
+			Profiler.enable();
+
+			let profiler = new Profiler('KEEPS_STATS');
+			profiler.begin('foo').end();
+			let again = new Profiler('KEEPS_STATS');
+
+			expect(again).to.equal(profiler);
+			expect(Profiler.getStats().KEEPS_STATS).to.equal(profiler.stats);
+			expect(Profiler.getStats().KEEPS_STATS.foo.count).to.equal(1);
+		});
+
 		it('should start disabled', function() {
 			let profiler = new Profiler('disabled');
 
@@ -110,6 +181,93 @@ describe('Profiler', function() {
 			expect(profiler.getBlock('foo')).to.equal(null);
 			expect(() => profiler.getBlock({})).to.throw(XError);
 		});
+
+		it('finds the right one of several blocks with a name', function() {
+			Profiler.enable();
+			let profiler = new Profiler('same-name');
+			Profiler.asyncStorage.run(null, () => {
+				const first = profiler.createBlock('request');
+				const query = Profiler.asyncStorage.run(first, () => profiler.createBlock('query'));
+				const second = profiler.createBlock('request');
+				const third = profiler.createBlock('request');
+				expect(profiler.getBlock('request')).to.equal(third);
+				expect(Profiler.asyncStorage.run(query, () => profiler.getBlock('request'))).to.equal(first);
+
+				profiler.end(third);
+				expect(profiler.getBlock('request')).to.equal(second);
+				Profiler.asyncStorage.run(second, () => profiler.end('request'));
+				expect(second.finished).to.be.true;
+				expect(profiler.getBlock('request')).to.equal(first);
+				profiler.end('request');
+				expect(first.finished).to.be.true;
+				expect(profiler.getBlock('request')).to.equal(null);
+			});
+		});
+	});
+
+	describe('concurrency', function() {
+		it('tracks the blocks in flight and the peak', function() {
+			Profiler.enable();
+			let profiler = new Profiler('concurrency');
+			Profiler.asyncStorage.run(null, () => {
+				const blocks = [ 1, 2, 3 ].map((n) => profiler.createBlock('job', { tags: { n } }));
+				expect(profiler.getStats('job')).to.include({ inFlight: 3, peakConcurrency: 3 });
+				blocks[0].end();
+				blocks[1].end();
+				profiler.createBlock('job').end();
+				expect(profiler.getStats('job')).to.include({ inFlight: 1, peakConcurrency: 3 });
+				expect(profiler.getStats('job', { tags: { n: 3 } })).to.include({ inFlight: 1, peakConcurrency: 1 });
+				expect(profiler.dumpStats()).to.match(/\njob\s.*\s3\s+0\s+0\.0%\s+1\s+3\s/);
+				blocks[2].end();
+				expect(profiler.getStats('job')).to.include({ count: 4, inFlight: 0, peakConcurrency: 3 });
+			});
+		});
+
+		it('stops counting blocks that are dropped unclosed', function() {
+			Profiler.enable();
+			let profiler = new Profiler('concurrencyDropped');
+			Profiler.asyncStorage.run(null, () => {
+				const block = profiler.createBlock('leak');
+				const { warn } = console;
+				console.warn = () => {};
+				try {
+					profiler.activeBlocksById.reset();
+				} finally {
+					console.warn = warn;
+				}
+				expect(profiler.getStats('leak').inFlight).to.equal(0);
+				expect(profiler.getBlock('leak')).to.equal(null);
+				block.end();
+				expect(profiler.getStats('leak')).to.include({ count: 1, inFlight: 0, peakConcurrency: 1 });
+			});
+		});
+
+		it('ends the block begun by the same async call by name', async function() {
+			Profiler.enable();
+			let profiler = new Profiler('concurrencyEndByName');
+			profiler.setSampling('request', { every: 2 });
+			const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+			const handle = async(delay) => {
+				const block = profiler.begin('request');
+				await sleep(delay);
+				const query = profiler.begin('query');
+				await sleep(1);
+				profiler.end('query');
+				await sleep(delay);
+				if (block !== profiler.disabledBlock) expect(profiler.getBlock('request')).to.equal(block);
+				profiler.end('request');
+				expect(query.finished).to.be.true;
+				return block;
+			};
+			const [ slow, unsampled, fast ] = await Promise.all([ handle(40), handle(20), handle(5) ]);
+			expect(unsampled).to.equal(profiler.disabledBlock);
+			expect(slow.finished).to.be.true;
+			expect(fast.finished).to.be.true;
+			expect(slow.duration).to.be.at.least(75);
+			expect(fast.duration).to.be.below(40);
+			expect(profiler.getStats('query')).to.include({ count: 3, inFlight: 0 });
+			expect(profiler.unsampledIds).to.deep.equal({});
+		});
 	});
 
 	describe('#begin', function() {
@@ -193,6 +351,323 @@ describe('Profiler', function() {
 		});
 	});
 
+	describe('call tree', function() {
+		const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		it('records the active block as the parent of nested blocks', function() {
+			Profiler.enable();
+			let profiler = new Profiler('call-tree-nested');
+			let outer, inner, sibling;
+			profiler.run('outer', () => {
+				outer = Profiler.getActiveBlock();
+				profiler.run('inner', () => {
+					inner = Profiler.getActiveBlock();
+				});
+				expect(Profiler.getActiveBlock()).to.equal(outer);
+				sibling = profiler.begin('sibling');
+				sibling.end();
+			});
+			expect(inner.parent).to.equal(outer);
+			expect(sibling.parent).to.equal(outer);
+			expect(Profiler.getActiveBlock()).to.equal(null);
+
+			let pathStats = profiler.getPathStats();
+			expect(pathStats['outer > inner'].count).to.equal(1);
+			expect(pathStats['outer > inner'].segments).to.deep.equal([ 'outer', 'inner' ]);
+			expect(pathStats['outer > sibling'].count).to.equal(1);
+			expect(pathStats.outer.count).to.equal(1);
+			expect(pathStats.outer.selfSum).to.be.at.most(pathStats.outer.sum);
+		});
+
+		it('does not nest blocks begun side by side', async function() {
+			Profiler.enable();
+			let profiler = new Profiler('call-tree-begin');
+			const blocks = [];
+			await new Promise((resolve) => {
+				const timer = setInterval(() => {
+					blocks.push(profiler.begin('tick'));
+					if (blocks.length === 3) {
+						clearInterval(timer);
+						resolve();
+					}
+				}, 1);
+			});
+			const first = profiler.begin('first');
+			const second = profiler.begin('second');
+			for (let block of blocks.concat(first, second)) block.end();
+
+			expect(blocks.map((block) => block.parent)).to.deep.equal([ null, null, null ]);
+			expect(second.parent).to.equal(null);
+			expect(Profiler.getActiveBlock()).to.equal(null);
+			expect(profiler.getPathStats().tick.count).to.equal(3);
+			expect(profiler.getPathStats()).to.not.have.property('tick > tick');
+		});
+
+		it('tracks parents across awaits and concurrent calls', async function() {
+			Profiler.enable();
+			let profiler = new Profiler('call-tree-async');
+			let parents = {};
+			profiler.on('begin', (block) => { parents[block.name] = block.parent && block.parent.name; });
+
+			await profiler.run('outer', async() => {
+				await sleep(1);
+				await Promise.all([
+					profiler.run('a', async() => {
+						await sleep(2);
+						await profiler.run('a child', () => sleep(1));
+					}),
+					profiler.run('b', () => sleep(1))
+				]);
+			});
+
+			expect(parents).to.deep.equal({ outer: null, a: 'outer', b: 'outer', 'a child': 'a' });
+			expect(profiler.getPathStats()['outer > a > a child'].count).to.equal(1);
+		});
+
+		it('prefixes ancestors from other namespaces', function() {
+			Profiler.enable();
+			let profiler = new Profiler('call-tree-caller');
+			let other = new Profiler('call-tree-callee');
+			profiler.run('handler', () => other.run('query', () => {}));
+			expect(other.getPathStats()['call-tree-caller:handler > query'].count).to.equal(1);
+		});
+
+		it('dumps stats as a tree', function() {
+			Profiler.enable();
+			let profiler = new Profiler('call-tree-dump');
+			profiler.run('outer', () => profiler.run('inner', () => {}));
+			let output = profiler.dumpStats({ tree: true });
+			expect(output).to.match(/inclusive\s+self/);
+			expect(output).to.match(/\nouter\s/);
+			expect(output).to.match(/\n {2}inner\s/);
+		});
+	});
+
+	describe('tags', function() {
+		it('keeps stats per tag combination', function() {
+			Profiler.enable();
+			let profiler = new Profiler('tags-begin');
+			profiler.begin('foo', { tags: { method: 'GET', tenant: 'a' } }).end();
+			profiler.begin('foo', { tags: { tenant: 'a', method: 'GET' } }).end();
+			profiler.begin('foo', { tags: { method: 'POST', tenant: 'b' } }).end();
+			profiler.begin('foo').end();
+
+			let stats = profiler.getStats('foo');
+			expect(stats.count).to.equal(4);
+			expect(stats.tagged['method=GET,tenant=a'].count).to.equal(2);
+			expect(stats.tagged['method=GET,tenant=a'].tags).to.deep.equal({ method: 'GET', tenant: 'a' });
+			expect(stats.tagged['method=POST,tenant=b'].count).to.equal(1);
+		});
+
+		it('filters and groups stats by tag', function() {
+			Profiler.enable();
+			let profiler = new Profiler('tags-filter');
+			profiler.run('foo', () => {}, { tags: { method: 'GET', tenant: 'a' } });
+			profiler.run('foo', () => {}, { tags: { method: 'GET', tenant: 'b' } });
+			profiler.run('foo', () => {}, { tags: { method: 'POST', tenant: 'a' } });
+			profiler.wrap(() => {}, 'bar', { tags: { method: 'GET' } })();
+
+			expect(profiler.getStats('foo', { tags: { method: 'GET' } }).count).to.equal(2);
+			expect(profiler.getStats('foo', { tags: { method: 'PUT' } }).count).to.equal(0);
+
+			let grouped = profiler.getStats('foo', { groupBy: 'tenant' });
+			expect(grouped['tenant=a'].count).to.equal(2);
+			expect(grouped['tenant=b'].count).to.equal(1);
+
+			let all = profiler.getStats({ tags: { method: 'GET' } });
+			expect(all.foo.count).to.equal(2);
+			expect(all.bar.count).to.equal(1);
+		});
+
+		it('limits the number of tag combinations', function() {
+			Profiler.enable();
+			let { maxTagSets } = Profiler;
+			Profiler.maxTagSets = 3;
+			try {
+				let profiler = new Profiler('tags-limit');
+				for (let n = 0; n < 10; n++) profiler.begin('foo', { tags: { id: n } }).end();
+				let { tagged } = profiler.getStats('foo');
+				expect(Object.keys(tagged)).to.deep.equal([ 'id=0', 'id=1', 'id=2', '(other)' ]);
+				expect(tagged['(other)'].count).to.equal(7);
+			} finally {
+				Profiler.maxTagSets = maxTagSets;
+			}
+		});
+
+		it('applies sequence tags to steps', function() {
+			Profiler.enable();
+			let profiler = new Profiler('tags-sequence');
+			let seq = profiler.sequence('foo', { tags: { method: 'GET' } });
+			seq.step('one', { tags: { cache: 'miss' } });
+			seq.end();
+			expect(profiler.getStats('foo step one').tagged['cache=miss,method=GET'].count).to.equal(1);
+		});
+
+		it('dumps stats filtered and grouped by tag', function() {
+			Profiler.enable();
+			let profiler = new Profiler('tags-dump');
+			profiler.begin('foo', { tags: { method: 'GET' } }).end();
+			profiler.begin('foo', { tags: { method: 'POST' } }).end();
+			profiler.begin('bar').end();
+
+			let output = profiler.dumpStats({ groupBy: 'method' });
+			expect(output).to.contain('foo {method=GET}');
+			expect(output).to.contain('foo {method=POST}');
+
+			output = profiler.dumpStats({ tags: { method: 'GET' } });
+			expect(output).to.match(/\nfoo\s.*\s1\s+0\s+0\.0%/);
+			expect(output).not.to.match(/\nbar\s/);
+		});
+	});
+
+	describe('sampling', function() {
+		it('profiles every Nth execution and scales the stats', function() {
+			Profiler.enable();
+			let profiler = new Profiler('sampledEvery');
+			profiler.setSampling('hot', { every: 3 });
+
+			let blocks = [];
+			for (let i = 0; i < 7; i++) blocks.push(profiler.begin('hot'));
+			blocks.forEach((block) => block.end());
+			profiler.begin('cold').end();
+
+			expect(blocks.filter((block) => block !== profiler.disabledBlock)).to.have.length(3);
+			expect(blocks[0]).to.not.equal(profiler.disabledBlock);
+			expect(blocks[1]).to.equal(profiler.disabledBlock);
+			expect(blocks[3]).to.not.equal(profiler.disabledBlock);
+			expect(profiler.getStats('hot')).to.include({ count: 9, sampled: true });
+			expect(profiler.getStats('cold').count).to.equal(1);
+			expect(profiler.getStats('cold').sampled).to.be.undefined;
+
+			const output = profiler.dumpStats();
+			expect(output).to.contain('hot (sampled)');
+			expect(output).to.not.contain('cold (sampled)');
+		});
+
+		it('samples all blocks of a profiler at a rate', function() {
+			Profiler.enable();
+			let profiler = new Profiler('sampledRate');
+			profiler.setSampling(0.25);
+			profiler.setSampling('exempt', { rate: 1 });
+
+			let profiled = 0;
+			for (let i = 0; i < 400; i++) {
+				if (profiler.begin('hot') !== profiler.disabledBlock) profiled += 1;
+				profiler.end('hot');
+				profiler.begin('exempt').end();
+			}
+			expect(profiled).to.be.within(50, 150);
+			expect(profiler.getStats('hot').count).to.equal(profiled * 4);
+			expect(profiler.getStats('exempt').count).to.equal(400);
+
+			profiler.setSampling(null);
+			const { count } = profiler.getStats('hot');
+			profiler.begin('hot').end();
+			expect(profiler.getStats('hot').count).to.equal(count + 1);
+		});
+
+		it('runs unsampled wrapped functions without a block', function() {
+			Profiler.enable();
+			let profiler = new Profiler('sampledWrap');
+			profiler.setSampling('outer', { every: 2 });
+			const fn = profiler.wrap(() => Profiler.getActiveBlock(), 'outer');
+			Profiler.asyncStorage.run(null, () => {
+				expect(fn().name).to.equal('outer');
+				expect(fn()).to.equal(null);
+			});
+			expect(profiler.getStats('outer').count).to.equal(2);
+		});
+
+		it('does not end sampled blocks by the name of unsampled ones', function() {
+			Profiler.enable();
+			let profiler = new Profiler('sampledEndByName');
+			profiler.setSampling('foo', { every: 2 });
+			const first = profiler.begin('foo');
+			expect(profiler.begin('foo')).to.equal(profiler.disabledBlock);
+			expect(profiler.end('foo')).to.equal(null);
+			expect(first.finished).to.not.be.ok;
+			profiler.end('foo');
+			expect(first.finished).to.be.true;
+
+			const third = profiler.begin('foo');
+			profiler.begin('foo');
+			expect(profiler.wrappedEnd('foo')('value')).to.equal('value');
+			expect(third.finished).to.not.be.ok;
+			profiler.wrappedEnd('foo')();
+			expect(third.finished).to.be.true;
+			expect(profiler.unsampledIds).to.deep.equal({});
+		});
+
+		it('does not record the ends of unsampled and disabled executions', function() {
+			let profiler = new Profiler('sampledDisabledEnd');
+			const { disabledBlock } = profiler;
+			let warnings = 0;
+			profiler.on('warning', () => { warnings += 1; });
+			disabledBlock.end();
+
+			Profiler.enable();
+			profiler.setSampling('foo', { every: 100 });
+			for (let i = 0; i < 200; i++) profiler.begin('foo', { warnThreshold: 0 }).end();
+			expect(disabledBlock.wrappedEnd()('value')).to.equal('value');
+			const error = new Error('failed');
+			expect(() => disabledBlock.wrappedEndError()(error)).to.throw(error);
+
+			expect(profiler.stats.DISABLED).to.include({ count: 0, warningCount: 0 });
+			expect(disabledBlock.duration).to.equal(undefined);
+			expect(disabledBlock.error).to.equal(null);
+			expect(profiler.getStats('foo').warningCount).to.equal(2);
+			expect(warnings).to.equal(2);
+		});
+
+		it('rejects invalid sampling options', function() {
+			let profiler = new Profiler('sampledInvalid');
+			expect(() => profiler.setSampling({ rate: 0 })).to.throw(XError);
+			expect(() => profiler.setSampling('foo', { rate: 1.5 })).to.throw(XError);
+			expect(() => profiler.setSampling('foo', { every: 1.5 })).to.throw(XError);
+		});
+	});
+
+	describe('warning policies', function() {
+		afterEach(function() {
+			Profiler.setWarningPolicy(null);
+		});
+
+		it('resolves the policy of a block, profiler, or all profilers', function() {
+			let profiler = new Profiler('warningPolicies');
+			const globalPolicy = new WarningPolicy({ threshold: 1 });
+			Profiler.setWarningPolicy(globalPolicy);
+			expect(profiler.getWarningPolicy('foo')).to.equal(globalPolicy);
+
+			profiler.setWarningPolicy({ threshold: 2 });
+			expect(profiler.getWarningPolicy('foo').threshold).to.equal(2);
+			profiler.setWarningPolicy('foo', { percentile: 99 });
+			expect(profiler.getWarningPolicy('foo').percentile).to.equal(99);
+			expect(profiler.getWarningPolicy('bar').threshold).to.equal(2);
+
+			profiler.setWarningPolicy('foo', null);
+			expect(profiler.getWarningPolicy('foo').threshold).to.equal(2);
+			profiler.setWarningPolicy(null);
+			expect(profiler.getWarningPolicy('foo')).to.equal(globalPolicy);
+			Profiler.setWarningPolicy(null);
+			expect(profiler.getWarningPolicy('foo')).to.be.an.instanceof(WarningPolicy);
+			expect(profiler.getWarningPolicy('foo')).to.not.equal(globalPolicy);
+		});
+
+		it('emits rate limited warnings with structured data', function() {
+			Profiler.enable();
+			let profiler = new Profiler('warningPolicyEmit');
+			profiler.setWarningPolicy('slow', { minCount: 0, threshold: 0, interval: 60000 });
+
+			let warnings = [];
+			profiler.on('warning', (warning) => warnings.push(warning));
+			for (let i = 0; i < 5; i++) profiler.begin('slow').end();
+
+			expect(warnings).to.have.length(1);
+			expect(warnings[0].data).to.include({ namespace: 'warningPolicyEmit', block: 'slow', threshold: 0 });
+			expect(profiler.getStats('slow').warningCount).to.equal(1);
+		});
+	});
+
 	describe('#sequence', function() {
 		it('should track sequences of steps', function() {
 			Profiler.enable();
@@ -210,6 +685,622 @@ describe('Profiler', function() {
 		});
 	});
 
+	describe('#getEvents', function() {
+		it('keeps structured records of recent blocks', function() {
+			Profiler.enable();
+			let profiler = new Profiler('history');
+			const before = new Date();
+			profiler.createBlock('foo', { tags: { method: 'GET' } }).end();
+			profiler.createBlock('bar').end(new Error('failed'));
+
+			const events = profiler.getEvents();
+			expect(events.map((event) => `${event.type} ${event.name}`))
+				.to.deep.equal([ 'begin foo', 'end foo', 'begin bar', 'end bar' ]);
+			const [ begin, end ] = events;
+			expect(begin).to.include({ namespace: 'history', name: 'foo', id: end.id });
+			expect(begin.tags).to.deep.equal({ method: 'GET' });
+			expect(begin).to.not.have.property('duration');
+			expect(end.duration).to.equal(end.endTime - end.startTime);
+			expect(end.outcome).to.equal('success');
+			expect(end.time).to.equal(end.endedOn);
+			expect(end.endedOn).to.be.at.least(before);
+			expect(events[3].outcome).to.equal('error');
+		});
+
+		it('filters events', function() {
+			Profiler.enable();
+			let profiler = new Profiler('history-query');
+			const foo = profiler.createBlock('foo', { tags: { method: 'GET' } });
+			const bar = profiler.createBlock('bar');
+			const baz = profiler.createBlock('baz');
+			foo.end();
+			bar.end();
+			baz.end();
+			// Make foo look slow
+			profiler.events.toArray()[3].duration = 5;
+
+			const names = (events) => events.map((event) => `${event.type} ${event.name}`);
+			expect(names(profiler.getEvents({ name: 'foo' }))).to.deep.equal([ 'begin foo', 'end foo' ]);
+			expect(names(profiler.getEvents({ name: /^ba/, type: 'end' }))).to.deep.equal([ 'end bar', 'end baz' ]);
+			expect(names(profiler.getEvents({ tags: { method: 'GET' }, type: 'begin' })))
+				.to.deep.equal([ 'begin foo' ]);
+			expect(names(profiler.getEvents({ minDuration: 5 }))).to.deep.equal([ 'end foo' ]);
+			expect(names(profiler.getEvents({ limit: 2 }))).to.deep.equal([ 'end bar', 'end baz' ]);
+
+			const events = profiler.getEvents();
+			const { time } = events[4];
+			expect(names(profiler.getEvents({ since: time })))
+				.to.deep.equal(names(events.filter((e) => e.time >= time)));
+			expect(names(profiler.getEvents({ until: time.getTime() })))
+				.to.deep.equal(names(events.filter((e) => e.time <= time)));
+		});
+
+		it('keeps a configurable number of events', function() {
+			Profiler.enable();
+			let profiler = new Profiler('history-size');
+			for (let i = 0; i < 10; i++) profiler.begin(`block${i}`).end();
+			expect(profiler.getEvents()).to.have.length(10);
+			expect(profiler.getEvents()[9].name).to.equal('block9');
+
+			profiler.setHistorySize(3);
+			expect(profiler.getEvents().map((event) => event.type)).to.deep.equal([ 'end', 'begin', 'end' ]);
+			profiler.begin('more').end();
+			expect(profiler.getEvents()).to.have.length(3);
+			expect(() => profiler.setHistorySize(-1)).to.throw(XError);
+		});
+
+		it('sets the size of all histories', function() {
+			let profiler = new Profiler('history-global');
+			try {
+				Profiler.setHistorySize(20);
+				expect(profiler.events.capacity).to.equal(20);
+				expect(new Profiler('history-global-new').warnings.capacity).to.equal(20);
+			} finally {
+				Profiler.setHistorySize(10);
+			}
+			expect(profiler.events.capacity).to.equal(10);
+		});
+
+		it('keeps records of warnings', function() {
+			Profiler.enable();
+			let profiler = new Profiler('history-warnings');
+			profiler.setWarningPolicy({ minCount: 0, threshold: -1 });
+			profiler.begin('slow').end();
+
+			const warnings = profiler.getWarnings();
+			expect(warnings).to.have.length(1);
+			expect(warnings[0]).to.include({ type: 'warning', name: 'slow', outcome: 'success' });
+			expect(warnings[0].warning).to.be.an.instanceof(XError);
+			expect(Profiler.getWarnings({ name: 'slow' })['history-warnings']).to.deep.equal(warnings);
+			expect(Profiler.getEvents({ type: 'end' })['history-warnings']).to.have.length(1);
+		});
+	});
+
+	describe('#dumpStats', function() {
+		it('displays sub-millisecond durations', function() {
+			Profiler.enable();
+			let profiler = new Profiler('dump-sub-ms');
+			profiler.begin('foo').end();
+			let output = profiler.dumpStats();
+			expect(output).to.contain('dump-sub-ms');
+			expect(output).to.match(/foo\s+\d+µs/);
+			expect(output).to.match(/end 'foo' \(\d+µs\)/);
+			expect(output).to.contain('p99.9');
+		});
+
+		it('supports other formats and options', function() {
+			Profiler.enable();
+			let profiler = new Profiler('dump-formats');
+			Profiler.asyncStorage.run(null, () => {
+				profiler.run('rare', () => {});
+				for (let i = 0; i < 3; i++) profiler.run('common', () => {});
+				profiler.run('other', () => {});
+			});
+			const json = JSON.parse(profiler.dumpStats({
+				format: 'json',
+				sortBy: 'count',
+				columns: [ 'count', 'average' ],
+				filter: /^(rare|common)$/,
+				limit: 1,
+				units: 'us'
+			}));
+			expect(json.namespaces).to.have.length(1);
+			expect(json.namespaces[0].blocks).to.have.length(1);
+			expect(json.namespaces[0].blocks[0]).to.have.keys('name', 'count', 'avg');
+			expect(json.namespaces[0].blocks[0]).to.include({ name: 'common', count: 3 });
+			expect(profiler.dumpStats({ minCount: 2 })).to.not.match(/\nrare\s/);
+			expect(() => profiler.dumpStats({ tree: true, format: 'json' })).to.throw('Call trees');
+
+			const csv = Profiler.dumpStats({ format: 'csv', filter: (row) => row.namespace === 'dump-formats' });
+			const lines = csv.trim().split('\n');
+			expect(lines.filter((line) => line.startsWith('namespace,'))).to.have.length(1);
+			expect(lines.slice(1).map((line) => line.split(',')[1])).to.deep.equal([ 'common', 'other', 'rare' ]
+				.sort((a, b) => profiler.getStats(b).sum - profiler.getStats(a).sum));
+		});
+
+		it('shows the throughput of blocks that recorded items', async function() {
+			Profiler.enable();
+			let profiler = new Profiler('dump-throughput');
+			profiler.begin('plain').end();
+			expect(profiler.dumpStats()).to.not.contain('items/s');
+
+			const iterator = profiler.wrapIterable([ 'ab', 'cde' ], 'rows')[Symbol.asyncIterator]();
+			let result;
+			do {
+				result = await iterator.next();
+			} while (!result.done);
+
+			const output = profiler.dumpStats();
+			expect(output).to.match(/\sitems\s+bytes\s+items\/s\s+bytes\/s\s*\n/);
+			expect(output).to.match(/\nrows\s.*\s2\s+5B\s+[\d.]+\/s\s+[\d.]+[KMG]?B\/s\s*\n/);
+			expect(output).to.match(/\nplain\s.*\s0\s+1\s*\n/);
+			const json = JSON.parse(profiler.dumpStats({ format: 'json', filter: /^rows$/ }));
+			const { itemsPerSecond, bytesPerSecond } = profiler.getStats('rows');
+			expect(json.namespaces[0].blocks[0]).to.include({ items: 2, bytes: 5, itemsPerSecond, bytesPerSecond });
+			expect(profiler.dumpStats({ columns: [ 'count' ] })).to.not.contain('items');
+		});
+
+		it('uses registered formatters', function() {
+			Profiler.enable();
+			let profiler = new Profiler('dump-custom');
+			profiler.begin('foo').end();
+			Profiler.registerFormatter('summary', (sections) => {
+				return sections.map((section) => `${section.title}: ${section.rows.length}`).join('\n');
+			});
+			expect(profiler.dumpStats({ format: 'summary' })).to.equal('dump-custom: 1');
+			expect(Profiler.dumpStats({ format: 'summary' })).to.contain('dump-custom: 1');
+		});
+	});
+
+	describe('#getStats', function() {
+		it('includes percentiles', function() {
+			Profiler.enable();
+			let profiler = new Profiler('percentiles');
+			for (let n = 0; n < 10; n++) profiler.begin('foo').end();
+			let stats = profiler.getStats('foo');
+			for (let key of [ 'p50', 'p90', 'p95', 'p99', 'p999' ]) {
+				expect(stats[key]).to.be.within(stats.min, stats.max);
+			}
+		});
+	});
+
+	describe('rolling windows', function() {
+		it('returns stats for a recent window', function() {
+			Profiler.enable();
+			let profiler = new Profiler('windows');
+			profiler.begin('foo').end();
+			profiler.begin('foo', { tags: { method: 'GET' } }).end();
+
+			let stats = profiler.getStats('foo', { window: '5m' });
+			expect(stats.window).to.equal(5 * 60 * 1000);
+			expect(stats.count).to.equal(2);
+			expect(stats.sum).to.equal(profiler.getStats('foo').sum);
+			expect(profiler.getStats({ window: '1m' }).foo.count).to.equal(2);
+			expect(profiler.getStats('foo', { window: '1m', tags: { method: 'GET' } }).count).to.equal(1);
+			expect(profiler.getStats('foo', { window: '1m', groupBy: 'method' })['method=GET'].count).to.equal(1);
+		});
+
+		it('dumps stats for a recent window', function() {
+			Profiler.enable();
+			let profiler = new Profiler('windows-dump');
+			profiler.begin('foo').end();
+			let output = profiler.dumpStats({ window: '15m' });
+			expect(output).to.contain('windows-dump (last 15m):');
+			expect(output).to.match(/\nfoo\s.*\s1\s*\n/);
+		});
+	});
+
+	describe('#dumpHistogram', function() {
+		it('renders a histogram for a single block', function() {
+			Profiler.enable();
+			let profiler = new Profiler('dump-histogram');
+			for (let n = 0; n < 10; n++) profiler.begin('foo').end();
+			let output = profiler.dumpHistogram('foo');
+			expect(output).to.contain('dump-histogram foo');
+			expect(output).to.contain('#');
+			expect(profiler.dumpHistogram('nonexistent')).to.equal('');
+		});
+	});
+
+	describe('persistence', function() {
+		let tempDir;
+
+		beforeEach(function() {
+			tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simprof-'));
+		});
+
+		afterEach(function() {
+			Profiler.stopAutosave();
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		it('saves and merges stats into live stats', function() {
+			Profiler.enable();
+			let profiler = new Profiler('persisted');
+			profiler.begin('foo', { tags: { method: 'GET' } }).end();
+			profiler.begin('foo').end();
+			const file = path.join(tempDir, 'stats.json');
+			const saved = Profiler.save(file);
+			expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(saved);
+			expect(fs.readdirSync(tempDir)).to.deep.equal([ 'stats.json' ]);
+
+			const before = profiler.getStats('foo');
+			const { sum, max } = before;
+			Profiler.load(file);
+			const stats = profiler.getStats('foo');
+			expect(stats).to.equal(before);
+			expect(stats.count).to.equal(4);
+			expect(stats.sum).to.be.closeTo(sum * 2, 1e-9);
+			expect(stats.max).to.equal(max);
+			expect(stats.histogram.count).to.equal(4);
+			expect(stats.tagged['method=GET'].count).to.equal(2);
+			expect(stats.p50).to.be.a('number');
+		});
+
+		it('replaces live stats without merge', function() {
+			Profiler.enable();
+			let profiler = new Profiler('persistedReplace');
+			profiler.begin('foo').end();
+			const file = path.join(tempDir, 'stats.json');
+			Profiler.save(file);
+			profiler.begin('foo').end();
+			profiler.begin('foo').end();
+
+			Profiler.load(file, { merge: false });
+			expect(profiler.getStats('foo').count).to.equal(1);
+			expect(profiler.getStats('foo').histogram.count).to.equal(1);
+			profiler.begin('foo').end();
+			expect(profiler.getStats('foo').count).to.equal(2);
+		});
+
+		it('does not load the blocks in flight of the saved process', function() {
+			Profiler.enable();
+			let profiler = new Profiler('persistedInFlight');
+			const file = path.join(tempDir, 'stats.json');
+			let block = profiler.begin('foo', { tags: { method: 'GET' } });
+			Profiler.save(file);
+			block.end();
+
+			Profiler.load(file);
+			expect(profiler.getStats('foo')).to.include({ count: 1, inFlight: 0 });
+			expect(profiler.getStats('foo').tagged['method=GET'].inFlight).to.equal(0);
+
+			block = profiler.begin('foo');
+			Profiler.load(file, { merge: false });
+			expect(profiler.getStats('foo')).to.include({ count: 0, inFlight: 1 });
+			block.end();
+			expect(profiler.getStats('foo')).to.include({ count: 1, inFlight: 0 });
+		});
+
+		it('creates profilers for saved namespaces', function() {
+			const file = path.join(tempDir, 'stats.json');
+			const snapshot = {
+				version: 1,
+				createdOn: new Date().toISOString(),
+				pid: 1,
+				namespaces: { persistedNew: { bar: { count: 1, sum: 5, sumSq: 25, min: 5, max: 5 } } }
+			};
+			fs.writeFileSync(file, JSON.stringify(snapshot));
+			Profiler.load(file);
+			expect(new Profiler('persistedNew').getStats('bar')).to.include({ count: 1, sum: 5, avg: 5 });
+		});
+
+		it('rejects unsupported files', function() {
+			const file = path.join(tempDir, 'stats.json');
+			fs.writeFileSync(file, JSON.stringify({ version: 99, namespaces: {} }));
+			expect(() => Profiler.load(file)).to.throw(XError).with.property('code', XError.UNSUPPORTED_FORMAT);
+			fs.writeFileSync(file, 'not json');
+			expect(() => Profiler.load(file)).to.throw(XError).with.property('code', XError.UNSUPPORTED_FORMAT);
+		});
+
+		it('autosaves on an interval and before exit', async function() {
+			Profiler.enable();
+			new Profiler('autosaved').begin('foo').end();
+			const file = path.join(tempDir, 'stats.json');
+			Profiler.startAutosave(file, { interval: 10 });
+			await new Promise((resolve) => setTimeout(resolve, 50));
+			expect(JSON.parse(fs.readFileSync(file, 'utf8')).namespaces.autosaved.foo.count).to.equal(1);
+
+			fs.unlinkSync(file);
+			process.emit('beforeExit', 0);
+			expect(fs.existsSync(file)).to.be.true;
+
+			Profiler.stopAutosave();
+			fs.unlinkSync(file);
+			process.emit('beforeExit', 0);
+			expect(fs.existsSync(file)).to.be.false;
+		});
+	});
+
+	describe('worker aggregation', function() {
+		afterEach(function() {
+			Profiler.stopAggregating();
+		});
+
+		it('combines the stats of worker threads', async function() {
+			this.timeout(10000);
+			Profiler.enable();
+			let profiler = new Profiler('aggregated');
+			profiler.begin('local').end();
+
+			const aggregator = Profiler.startAggregating();
+			const worker = new Worker(`
+				const Profiler = require(${JSON.stringify(path.resolve(__dirname, '../lib'))});
+				Profiler.enable();
+				Profiler.startReporting({ interval: 60000 });
+				const profiler = new Profiler('aggregated');
+				for (let i = 0; i < 3; i++) profiler.begin('remote').end();
+				profiler.begin('local').end();
+				Profiler.stopReporting();
+			`, { eval: true });
+			const label = `thread ${worker.threadId}`;
+			aggregator.addWorker(worker);
+			await new Promise((resolve) => worker.on('exit', resolve));
+
+			expect(aggregator.getSnapshots()).to.have.keys(label);
+			const output = Profiler.dumpStats();
+			expect(output).to.match(/aggregated \(all workers\):[^=]*remote[^\n]*\s3\s+0\s+0\.0%/);
+			expect(output).to.match(/aggregated \(all workers\):[^=]*local[^\n]*\s2\s+0\s+0\.0%/);
+			expect(output).to.not.contain(label);
+
+			const byWorker = Profiler.dumpStats({ byWorker: true });
+			expect(byWorker).to.match(/aggregated \(local\):[^=]*local[^\n]*\s1\s+0\s+0\.0%/);
+			expect(byWorker).to.contain(`aggregated (${label}):`);
+			expect(Profiler.dumpStats({ tree: true })).to.not.contain('all workers');
+		});
+	});
+
+	describe('#wrapCallback', function() {
+		it('ends the block when the callback is called', function(done) {
+			Profiler.enable();
+			let profiler = new Profiler('callbacks');
+			let ended = [];
+			profiler.on('end', (block) => ended.push(block));
+
+			const fn = profiler.wrapCallback(function(value, cb) {
+				setTimeout(() => cb(null, value * this.factor), 5);
+			}, 'double');
+			fn.call({ factor: 2 }, 21, function(err, result) {
+				expect(err).to.equal(null);
+				expect(result).to.equal(42);
+				expect(ended).to.have.length(1);
+				expect(ended[0].name).to.equal('double');
+				expect(ended[0].duration).to.be.at.least(4);
+				expect(ended[0].error).to.equal(null);
+				done();
+			});
+			expect(ended).to.have.length(0);
+		});
+
+		it('records errors passed to the callback or thrown', function(done) {
+			Profiler.enable();
+			let profiler = new Profiler('callbacks');
+			let ended = [];
+			profiler.on('end', (block) => ended.push(block));
+
+			const throws = profiler.wrapCallback(() => { throw new Error('thrown'); }, 'throws');
+			expect(() => throws(() => {})).to.throw('thrown');
+			expect(ended[0].error.message).to.equal('thrown');
+
+			const fails = profiler.wrapCallback((cb) => setImmediate(() => cb(new Error('failed'))), 'fails');
+			fails((err) => {
+				expect(err.message).to.equal('failed');
+				expect(ended[1].error).to.equal(err);
+				done();
+			});
+		});
+
+		it('ends the block only once', function() {
+			Profiler.enable();
+			let profiler = new Profiler('callbacksTwice');
+			const fn = profiler.wrapCallback((cb) => { cb(); cb(); }, 'twice');
+			let calls = 0;
+			fn(() => { calls += 1; });
+			expect(calls).to.equal(2);
+			expect(profiler.getStats('twice').count).to.equal(1);
+		});
+
+		it('does not profile calls without a callback', function() {
+			Profiler.enable();
+			let profiler = new Profiler('callbacksNone');
+			expect(profiler.wrapCallback((value) => value, 'none')(3)).to.equal(3);
+			expect(profiler.getStats('none')).to.be.undefined;
+		});
+	});
+
+	describe('#trackEmitter', function() {
+		const { EventEmitter } = require('events');
+
+		it('ends the block on the first of the events', function() {
+			Profiler.enable();
+			let profiler = new Profiler('emitters');
+			const emitter = new EventEmitter();
+			const block = profiler.trackEmitter(emitter, 'upload', { tags: { kind: 'file' } });
+			expect(block.finished).to.not.be.ok;
+			emitter.emit('finish');
+			expect(block.finished).to.be.true;
+			expect(block.error).to.equal(null);
+			expect(block.tags).to.deep.equal({ kind: 'file' });
+			emitter.emit('close');
+			expect(profiler.getStats('upload').count).to.equal(1);
+			expect(emitter.eventNames()).to.deep.equal([]);
+		});
+
+		it('records errors', function() {
+			Profiler.enable();
+			let profiler = new Profiler('emitters');
+			const emitter = new EventEmitter();
+			let handled = null;
+			emitter.on('error', (err) => { handled = err; });
+			const block = profiler.trackEmitter(emitter, 'download', { events: [ 'done' ] });
+			const err = new Error('failed');
+			emitter.emit('error', err);
+			expect(block.error).to.equal(err);
+			expect(handled).to.equal(err);
+			expect(emitter.listenerCount('done')).to.equal(0);
+		});
+
+		it('does not swallow unhandled errors', function() {
+			Profiler.enable();
+			let profiler = new Profiler('emitters');
+			const emitter = new EventEmitter();
+			const block = profiler.trackEmitter(emitter, 'unhandled');
+			expect(() => emitter.emit('error', new Error('unhandled'))).to.throw('unhandled');
+			expect(block.error.message).to.equal('unhandled');
+
+			const bare = new EventEmitter();
+			const bareBlock = profiler.trackEmitter(bare, 'bare');
+			let thrown;
+			try {
+				bare.emit('error');
+			} catch (err) {
+				thrown = err;
+			}
+			expect(thrown).to.be.an.instanceof(XError);
+			expect(thrown).to.equal(bareBlock.error);
+		});
+
+		it('supports custom error events', function() {
+			Profiler.enable();
+			let profiler = new Profiler('emitters');
+			const emitter = new EventEmitter();
+			const block = profiler.trackEmitter(emitter, 'aborted', { errorEvents: [ 'abort' ] });
+			emitter.emit('abort');
+			expect(block.error).to.be.an.instanceof(XError);
+		});
+	});
+
+	describe('#wrapIterable', function() {
+		function consume(iterable, limit = Infinity) {
+			const iterator = iterable[Symbol.asyncIterator]();
+			let items = [];
+			const next = () => {
+				if (items.length >= limit) return iterator.return().then(() => items);
+				return iterator.next().then(({ done, value }) => {
+					if (done) return items;
+					items.push(value);
+					return next();
+				});
+			};
+			return next();
+		}
+
+		it('profiles a pass over an iterable', function() {
+			Profiler.enable();
+			let profiler = new Profiler('iterables');
+			return consume(profiler.wrapIterable([ 'ab', Promise.resolve('cde'), { id: 1 } ], 'rows'))
+				.then((items) => {
+					expect(items).to.deep.equal([ 'ab', 'cde', { id: 1 } ]);
+					const stats = profiler.getStats();
+					expect(stats.rows).to.include({ count: 1, items: 3, bytes: 5 });
+					expect(stats.rows.itemsPerSecond).to.be.above(0);
+					expect(stats['rows (first item)'].count).to.equal(1);
+					expect(stats['rows (per item)'].count).to.equal(3);
+					expect(stats['rows (first item)'].max).to.be.at.most(stats.rows.max);
+				});
+		});
+
+		it('records errors of async iterators', function() {
+			Profiler.enable();
+			let profiler = new Profiler('iterablesFailing');
+			let ended = [];
+			profiler.on('end', (block) => ended.push(block));
+			const failing = {
+				[Symbol.asyncIterator]() {
+					let calls = 0;
+					return {
+						next() {
+							calls += 1;
+							if (calls > 1) return Promise.reject(new Error('failed'));
+							return new Promise((resolve) => setTimeout(() => resolve({ done: false, value: 1 }), 5));
+						}
+					};
+				}
+			};
+			return consume(profiler.wrapIterable(failing, 'cursor')).then(() => {
+				throw new Error('Expected a rejection');
+			}, (err) => {
+				expect(err.message).to.equal('failed');
+				expect(ended).to.have.length(1);
+				expect(ended[0].error).to.equal(err);
+				expect(profiler.getStats('cursor')).to.include({ count: 1, items: 1 });
+				expect(profiler.getStats('cursor (per item)').min).to.be.at.least(4);
+			});
+		});
+
+		it('ends the block when the iteration is exited early', function() {
+			Profiler.enable();
+			let profiler = new Profiler('iterablesEarly');
+			let returned = false;
+			function* numbers() {
+				try {
+					for (let i = 0; ; i++) yield i;
+				} finally {
+					returned = true;
+				}
+			}
+			return consume(profiler.wrapIterable(numbers(), 'numbers'), 2).then((items) => {
+				expect(items).to.deep.equal([ 0, 1 ]);
+				expect(returned).to.be.true;
+				expect(profiler.getStats('numbers')).to.include({ count: 1, items: 2 });
+			});
+		});
+
+		it('does not profile when disabled', function() {
+			let profiler = new Profiler('iterablesDisabled');
+			Profiler.disable();
+			return consume(profiler.wrapIterable([ 1, 2 ], 'numbers')).then((items) => {
+				expect(items).to.deep.equal([ 1, 2 ]);
+				expect(profiler.getStats('numbers')).to.be.undefined;
+				expect(profiler.getStats('numbers (per item)')).to.be.undefined;
+			});
+		});
+	});
+
+	describe('#streamMeter', function() {
+		const { Readable, Writable, pipeline } = require('stream');
+
+		it('profiles the data flowing through', function(done) {
+			Profiler.enable();
+			let profiler = new Profiler('streams');
+			let chunks = [];
+			const sink = new Writable({
+				write(chunk, encoding, callback) {
+					chunks.push(`${chunk}`);
+					callback();
+				}
+			});
+			pipeline(Readable.from([ 'ab', 'cde' ]), profiler.streamMeter('upload'), sink, (err) => {
+				if (err) return done(err);
+				expect(chunks).to.deep.equal([ 'ab', 'cde' ]);
+				expect(profiler.getStats('upload')).to.include({ count: 1, items: 2, bytes: 5 });
+				expect(profiler.getStats('upload (first item)').count).to.equal(1);
+				expect(profiler.getStats('upload (per item)').count).to.equal(2);
+				done();
+			});
+		});
+
+		it('records errors and premature closes', function() {
+			Profiler.enable();
+			let profiler = new Profiler('streamsFailing');
+			let ended = [];
+			profiler.on('end', (block) => ended.push(block));
+
+			const failing = profiler.streamMeter('failing', { objectMode: true });
+			failing.on('error', () => {});
+			const err = new Error('failed');
+			failing.destroy(err);
+			const closed = profiler.streamMeter('closed');
+			closed.destroy();
+			return new Promise((resolve) => setImmediate(resolve)).then(() => {
+				expect(ended.map((block) => block.name)).to.deep.equal([ 'failing', 'closed' ]);
+				expect(ended[0].error).to.equal(err);
+				expect(ended[1].error).to.equal(null);
+				expect(profiler.getStats('failing').count).to.equal(1);
+			});
+		});
+	});
+
 	describe('#wrap', function() {
 		it('should wrap synchronous functions', function() {
 			Profiler.enable();
@@ -301,4 +1392,159 @@ describe('Profiler', function() {
 			expect(result).to.equal(7);
 		});
 	});
+
+	describe('leak detection', function() {
+		afterEach(function() {
+			Profiler.stopLeakDetection();
+		});
+
+		it('lists the blocks in flight', function() {
+			Profiler.enable();
+			let profiler = new Profiler('activeBlocks');
+			Profiler.asyncStorage.run(null, () => {
+				const outer = profiler.begin('outer', { tags: { a: 'b' } });
+				const inner = Profiler.asyncStorage.run(outer, () => profiler.createBlock('inner'));
+				profiler.createBlock('done').end();
+				const active = profiler.getActiveBlocks();
+				expect(active.map((block) => block.name)).to.deep.equal([ 'outer', 'inner' ]);
+				expect(active[0]).to.include({ id: outer.id, namespace: 'activeBlocks', parent: null, stack: null });
+				expect(active[0].tags).to.deep.equal({ a: 'b' });
+				expect(active[0].age).to.be.at.least(active[1].age);
+				expect(active[1].parent).to.deep.equal({ namespace: 'activeBlocks', name: 'outer', id: outer.id });
+				expect(profiler.getActiveBlocks({ minAge: 60000 })).to.deep.equal([]);
+				expect(Profiler.getActiveBlocks().filter((block) => block.namespace === 'activeBlocks'))
+					.to.have.length(2);
+				inner.end();
+				outer.end();
+				expect(profiler.getActiveBlocks()).to.deep.equal([]);
+			});
+		});
+
+		it('reports old blocks once, with where they were begun', function() {
+			Profiler.enable();
+			let profiler = new Profiler('leaks');
+			Profiler.startLeakDetection({ maxAge: 5, captureStacks: true });
+			let leaks = [];
+			let globalLeaks = [];
+			const onLeak = (namespace) => globalLeaks.push(namespace);
+			profiler.on('leak', (leak) => leaks.push(leak));
+			Profiler.emitter.on('leak', onLeak);
+			const block = Profiler.asyncStorage.run(null, function beginLeakyBlock() {
+				return profiler.begin('leaky');
+			});
+			return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+				expect(Profiler.detectLeaks().filter((leak) => leak.namespace === 'leaks')).to.have.length(1);
+				expect(Profiler.detectLeaks().filter((leak) => leak.namespace === 'leaks')).to.have.length(0);
+				Profiler.emitter.removeListener('leak', onLeak);
+				expect(leaks).to.have.length(1);
+				expect(globalLeaks).to.include('leaks');
+				expect(leaks[0]).to.include({ reason: 'age', id: block.id, name: 'leaky' });
+				expect(leaks[0].age).to.be.at.least(5);
+				expect(leaks[0].origin).to.match(/^at beginLeakyBlock \(.*test\/simple-profiler\.js:\d+:\d+\)$/);
+				expect(leaks[0].stack).to.not.contain('lib/simple-profiler.js');
+				block.end();
+			});
+		});
+
+		it('needs a maximum age', function() {
+			expect(() => Profiler.detectLeaks()).to.throw(XError);
+			expect(Profiler.detectLeaks(Infinity)).to.deep.equal([]);
+		});
+
+		it('reports blocks dropped unclosed', function() {
+			Profiler.enable();
+			let profiler = new Profiler('leaksEvicted');
+			let leaks = [];
+			profiler.on('leak', (leak) => leaks.push(leak));
+			Profiler.asyncStorage.run(null, () => profiler.createBlock('dropped'));
+			const { warn } = console;
+			let warnings = [];
+			console.warn = (message) => warnings.push(message);
+			try {
+				profiler.activeBlocksById.reset();
+			} finally {
+				console.warn = warn;
+			}
+			expect(warnings).to.deep.equal([ 'Warning: Detected unclosed simprof block with name dropped' ]);
+			expect(leaks).to.have.length(1);
+			expect(leaks[0]).to.include({ reason: 'evicted', name: 'dropped' });
+			expect(profiler.getActiveBlocks()).to.deep.equal([]);
+		});
+	});
+
+	describe('outcomes', function() {
+		it('keeps the stats of failed calls apart', function() {
+			Profiler.enable();
+			let profiler = new Profiler('outcomes');
+			const fn = profiler.wrap((fail) => {
+				if (fail) throw new XError(XError.NOT_FOUND, 'missing');
+				return 1;
+			}, 'lookup');
+			fn(false);
+			fn(false);
+			expect(() => fn(true)).to.throw('missing');
+			return profiler.run('lookup', () => Promise.reject(new TypeError('bad'))).catch(() => {
+				const stats = profiler.getStats('lookup');
+				expect(stats).to.include({ count: 4, errorCount: 2, errorRate: 0.5 });
+				expect(stats.errorCodes).to.deep.equal({ 'not_found': 1, TypeError: 1 });
+				expect(profiler.getStats('lookup', { outcome: 'success' }).count).to.equal(2);
+				expect(profiler.getStats('lookup', { outcome: 'error' }).count).to.equal(2);
+				expect(profiler.getStats({ outcome: 'error' }).lookup.count).to.equal(2);
+				const output = profiler.dumpStats({ outcome: 'success' });
+				expect(output).to.match(/outcomes \(success\):\n\n.*\n.*\nlookup\s.*\s2\s+0\s+0\.0%/);
+				expect(() => profiler.getStats('lookup', { outcome: 'bogus' })).to.throw('Unrecognized outcome');
+			});
+		});
+
+		it('ends blocks with an explicit outcome', function() {
+			Profiler.enable();
+			let profiler = new Profiler('outcomesExplicit');
+			profiler.end(profiler.begin('foo'), 'error');
+			profiler.end(profiler.begin('foo'), 'success');
+			const failed = profiler.begin('foo');
+			expect(() => profiler.wrappedEndError(failed)(new Error('failed'))).to.throw('failed');
+			expect(profiler.getStats('foo')).to.include({ count: 3, errorCount: 2 });
+			expect(profiler.getStats('foo').errorCodes).to.deep.equal({ unknown: 1, Error: 1 });
+		});
+	});
+
+	describe('resource tracking', function() {
+		afterEach(function() {
+			Profiler.stopResourceTracking();
+		});
+
+		it('records resource usage in block stats', function() {
+			Profiler.enable();
+			let profiler = new Profiler('resources');
+			profiler.begin('untracked').end();
+			Profiler.startResourceTracking();
+			const block = profiler.createBlock('busy', { tags: { kind: 'loop' } });
+			const end = Date.now() + 20;
+			while (Date.now() < end);
+			block.end();
+
+			expect(block.resources.cpuUser + block.resources.cpuSystem).to.be.above(5);
+			expect(block.resources).to.have.property('heapDelta');
+			expect(profiler.getStats('untracked')).to.not.have.property('resources');
+			const { resources } = profiler.getStats('busy');
+			expect(resources.count).to.equal(1);
+			expect(resources.avgCpuUser).to.equal(block.resources.cpuUser);
+			expect(profiler.getStats('busy', { tags: { kind: 'loop' } }).resources.count).to.equal(1);
+
+			const output = profiler.dumpStats({ columns: [ 'sum', 'cpu user', 'cpu system', 'heap', 'loop delay' ] });
+			expect(output).to.match(/name\s+sum\s+cpu user\s+cpu system\s+heap\s+loop delay/);
+			expect(profiler.dumpStats()).to.not.contain('cpu user');
+		});
+
+		it('stops measuring new blocks', function() {
+			Profiler.enable();
+			let profiler = new Profiler('resources-stopped');
+			Profiler.startResourceTracking({ eventLoopDelay: false });
+			Profiler.stopResourceTracking();
+			expect(Profiler.resourceMonitor).to.be.null;
+			const block = profiler.begin('foo');
+			block.end();
+			expect(block.resources).to.be.null;
+		});
+	});
 });
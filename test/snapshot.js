@@ -0,0 +1,206 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+const Profiler = require('../lib');
+const { initStats, recordDuration, recordOutcome, recordItems, recordResources } = require('../lib/stats');
+const {
+	SNAPSHOT_VERSION,
+	createSnapshot,
+	deserializeStats,
+	mergeSnapshots,
+	snapshotToTrace,
+	parseSnapshot,
+	diffSnapshots,
+	renderDiff
+} = require('../lib/snapshot');
+const { statsOf } = require('./helpers/stats');
+
+describe('snapshot', function() {
+	describe('createSnapshot', function() {
+		it('creates a serializable deep copy', function() {
+			let stats = { foo: statsOf(1, 3) };
+			const snapshot = createSnapshot({ ns: stats });
+			expect(snapshot.version).to.equal(SNAPSHOT_VERSION);
+			expect(snapshot.pid).to.equal(process.pid);
+			expect(snapshot.createdOn).to.be.a('string');
+			expect(snapshot.namespaces.ns.foo).to.include({ count: 2, sum: 4, sumSq: 10, min: 1, max: 3 });
+			expect(JSON.parse(JSON.stringify(snapshot))).to.deep.equal(snapshot);
+
+			recordDuration(stats.foo, 5);
+			expect(snapshot.namespaces.ns.foo.count).to.equal(2);
+		});
+
+		it('keeps the sampled marker', function() {
+			let stats = initStats({});
+			recordDuration(stats, 1, 5);
+			const snapshot = createSnapshot({ ns: { foo: stats, bar: statsOf(1) } });
+			expect(snapshot.namespaces.ns.foo).to.include({ count: 5, sampled: true });
+			expect(snapshot.namespaces.ns.bar).to.not.have.property('sampled');
+			expect(deserializeStats(snapshot.namespaces.ns.foo).sampled).to.be.true;
+		});
+
+		it('keeps outcomes', function() {
+			let stats = statsOf(1, 3);
+			recordOutcome(stats, 1, null);
+			recordOutcome(stats, 3, new TypeError());
+			const snapshot = JSON.parse(JSON.stringify(createSnapshot({ ns: { foo: stats } })));
+			expect(snapshot.namespaces.ns.foo).to.include({ errorCount: 1 });
+			expect(snapshot.namespaces.ns.foo.errorCodes).to.deep.equal({ TypeError: 1 });
+			const restored = deserializeStats(snapshot.namespaces.ns.foo);
+			expect(restored).to.include({ errorCount: 1, errorRate: 0.5 });
+			expect(restored.outcomes.error).to.include({ count: 1, max: 3 });
+			expect(restored.outcomes.error.p50).to.be.closeTo(3, 0.1);
+		});
+
+		it('keeps item counts', function() {
+			let stats = statsOf(1000);
+			recordItems(stats, 3, 30);
+			const snapshot = createSnapshot({ ns: { foo: stats, bar: statsOf(1) } });
+			expect(snapshot.namespaces.ns.foo).to.include({ items: 3, bytes: 30 });
+			expect(snapshot.namespaces.ns.bar).to.not.have.property('items');
+			expect(deserializeStats(snapshot.namespaces.ns.foo)).to.include({ items: 3, itemsPerSecond: 3 });
+		});
+
+		it('keeps resource usage totals', function() {
+			let stats = statsOf(10);
+			recordResources(stats, { cpuUser: 4, cpuSystem: 1, heapDelta: 64, loopDelay: 2, loopDelaySamples: 1 });
+			const snapshot = createSnapshot({ ns: { foo: stats } });
+			expect(snapshot.namespaces.ns.foo.resources).to.deep.equal({
+				count: 1,
+				cpuUser: 4,
+				cpuSystem: 1,
+				heapDelta: 64,
+				loopDelay: 2,
+				loopDelaySamples: 1
+			});
+			expect(deserializeStats(snapshot.namespaces.ns.foo).resources)
+				.to.include({ avgCpuUser: 4, avgLoopDelay: 2 });
+		});
+
+		it('leaves out hidden stats and serializes empty min and max as null', function() {
+			const snapshot = createSnapshot({ ns: { foo: initStats({}), bar: initStats({ isHidden: true }) } });
+			expect(snapshot.namespaces.ns).to.have.keys('foo');
+			expect(snapshot.namespaces.ns.foo.min).to.equal(null);
+			expect(snapshot.namespaces.ns.foo.max).to.equal(null);
+		});
+	});
+
+	describe('deserializeStats', function() {
+		it('restores live stats', function() {
+			let stats = statsOf(1, 3);
+			stats.tagged = { 'a=b': initStats({ tags: { a: 'b' } }) };
+			recordDuration(stats.tagged['a=b'], 3);
+			const restored = deserializeStats(createSnapshot({ ns: { foo: stats } }).namespaces.ns.foo);
+			expect(restored).to.include({ count: 2, sum: 4, avg: 2, min: 1, max: 3 });
+			expect(restored.p99).to.be.closeTo(3, 0.1);
+			expect(restored.tagged['a=b']).to.include({ count: 1, sum: 3 });
+			expect(restored.tagged['a=b'].tags).to.deep.equal({ a: 'b' });
+		});
+	});
+
+	describe('mergeSnapshots', function() {
+		it('combines the stats of several snapshots', function() {
+			const merged = mergeSnapshots([
+				createSnapshot({ ns: { foo: statsOf(1) }, other: { bar: statsOf(2) } }),
+				createSnapshot({ ns: { foo: statsOf(3, 5) } })
+			]);
+			expect(merged.version).to.equal(SNAPSHOT_VERSION);
+			expect(merged.namespaces.ns.foo).to.include({ count: 3, sum: 9, min: 1, max: 5 });
+			expect(merged.namespaces.ns.foo.histogram.count).to.equal(3);
+			expect(merged.namespaces.other.bar.count).to.equal(1);
+		});
+	});
+
+	describe('snapshotToTrace', function() {
+		it('draws block totals end to end per namespace', function() {
+			const trace = snapshotToTrace(createSnapshot({ a: { short: statsOf(1), long: statsOf(2, 2) }, b: {} }));
+			const threads = trace.traceEvents.filter((event) => event.name === 'thread_name');
+			expect(threads.map((event) => event.args.name)).to.deep.equal([ 'a', 'b' ]);
+			const events = trace.traceEvents.filter((event) => event.ph === 'X');
+			expect(events).to.have.length(2);
+			expect(events[0]).to.include({ name: 'long', cat: 'a', tid: 1, ts: 0, dur: 4000 });
+			expect(events[0].args).to.deep.equal({ count: 2, average: 2 });
+			expect(events[1]).to.include({ name: 'short', ts: 4000, dur: 1000 });
+		});
+	});
+
+	describe('parseSnapshot', function() {
+		it('parses snapshots', function() {
+			const snapshot = createSnapshot({ ns: { foo: statsOf(1) } });
+			expect(parseSnapshot(JSON.stringify(snapshot))).to.deep.equal(snapshot);
+		});
+
+		it('rejects other JSON and other versions', function() {
+			for (let json of [ '{', '[]', '{"version":1}', '{"version":2,"namespaces":{}}' ]) {
+				expect(() => parseSnapshot(json)).to.throw(XError).with.property('code', XError.UNSUPPORTED_FORMAT);
+			}
+		});
+	});
+
+	describe('diffSnapshots', function() {
+		it('reports only the blocks that ended in between', function() {
+			let stats = { foo: statsOf(10, 10), bar: statsOf(5) };
+			const before = createSnapshot({ ns: stats });
+			recordDuration(stats.foo, 20);
+			recordDuration(stats.foo, 20);
+			stats.baz = statsOf(1);
+			const diff = diffSnapshots(before, createSnapshot({ ns: stats }));
+
+			expect(diff.from).to.equal(before.createdOn);
+			expect(diff.namespaces.ns.foo).to.include({ count: 2, sum: 40, mean: 20, std: 0 });
+			expect(diff.namespaces.ns.foo).to.include({ beforeCount: 2, beforeMean: 10, change: 1 });
+			expect(diff.namespaces.ns.bar.count).to.equal(0);
+			expect(diff.namespaces.ns.bar.change).to.be.NaN;
+			expect(diff.namespaces.ns.baz).to.include({ count: 1, beforeCount: 0 });
+			expect(diff.namespaces.ns.baz.change).to.be.NaN;
+		});
+	});
+
+	describe('renderDiff', function() {
+		it('marks regressions and sorts by change', function() {
+			let stats = { slower: statsOf(10), faster: statsOf(10), same: statsOf(10), idle: statsOf(10) };
+			const before = createSnapshot({ ns: stats });
+			recordDuration(stats.slower, 30);
+			recordDuration(stats.faster, 5);
+			recordDuration(stats.same, 10.5);
+			const output = renderDiff(diffSnapshots(before, createSnapshot({ ns: stats })));
+
+			const lines = output.split('\n');
+			const slower = lines.findIndex((line) => /slower/.test(line));
+			const same = lines.findIndex((line) => /same/.test(line));
+			const faster = lines.findIndex((line) => /faster/.test(line));
+			expect(slower).to.be.below(same);
+			expect(same).to.be.below(faster);
+			expect(lines[slower]).to.match(/^\*.*\+200\.0%/);
+			expect(lines[same]).to.match(/^ .*\+5\.0%/);
+			expect(lines[faster]).to.match(/-50\.0%/);
+			expect(output).to.not.contain('idle');
+			expect(output).to.contain('mean regressed by more than +10.0%');
+		});
+
+		it('includes idle blocks with the all option', function() {
+			const before = createSnapshot({ ns: { idle: statsOf(10) } });
+			const output = renderDiff(diffSnapshots(before, before), { all: true, threshold: 0.5 });
+			expect(output).to.contain('idle');
+			expect(output).to.contain('+50.0%');
+		});
+	});
+
+	describe('Profiler', function() {
+		it('diffs against the current stats', function() {
+			Profiler.enable();
+			const profiler = new Profiler('snapshotDiff');
+			profiler.begin('foo').end();
+			const before = Profiler.snapshot();
+			profiler.begin('foo').end();
+			profiler.begin('foo').end();
+			const diff = Profiler.diff(before);
+			expect(diff.namespaces.snapshotDiff.foo.count).to.equal(2);
+			expect(Profiler.dumpDiff(diff)).to.contain('snapshotDiff');
+			Profiler.disable();
+		});
+	});
+});
@@ -0,0 +1,76 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const cluster = require('cluster');
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+const StatsAggregator = require('../lib/stats-aggregator');
+const { MESSAGE_TYPE } = require('../lib/stats-reporter');
+const { initStats, recordDuration } = require('../lib/stats');
+const { createSnapshot } = require('../lib/snapshot');
+
+function snapshotOf(namespace, name, ...durations) {
+	let stats = initStats({});
+	for (let duration of durations) recordDuration(stats, duration);
+	return createSnapshot({ [namespace]: { [name]: stats } });
+}
+
+describe('StatsAggregator', function() {
+	let aggregator;
+
+	beforeEach(function() {
+		aggregator = new StatsAggregator();
+	});
+
+	afterEach(function() {
+		aggregator.stop();
+	});
+
+	it('collects the stats of cluster workers', function() {
+		aggregator.start();
+		cluster.emit('message', { id: 3 }, { type: MESSAGE_TYPE, snapshot: snapshotOf('ns', 'foo', 1) });
+		cluster.emit('message', { id: 3 }, { type: MESSAGE_TYPE, snapshot: snapshotOf('ns', 'foo', 1, 2) });
+		cluster.emit('message', { id: 4 }, { type: 'other' });
+		expect(aggregator.getSnapshots()).to.have.keys('worker 3');
+		expect(aggregator.getSnapshots()['worker 3'].namespaces.ns.foo.count).to.equal(2);
+
+		aggregator.stop();
+		cluster.emit('message', { id: 5 }, { type: MESSAGE_TYPE, snapshot: snapshotOf('ns', 'foo', 1) });
+		expect(aggregator.getSnapshots()).to.have.keys('worker 3');
+	});
+
+	it('collects the stats of worker threads', function() {
+		let worker = new EventEmitter();
+		worker.threadId = 7;
+		aggregator.addWorker(worker);
+		worker.emit('message', { type: MESSAGE_TYPE, snapshot: snapshotOf('ns', 'foo', 1) });
+		expect(aggregator.getSnapshots()).to.have.keys('thread 7');
+
+		aggregator.stop();
+		expect(worker.listenerCount('message')).to.equal(0);
+	});
+
+	it('ignores unsupported snapshots', function() {
+		let worker = new EventEmitter();
+		worker.threadId = 1;
+		aggregator.addWorker(worker);
+		const { warn } = console;
+		console.warn = () => {};
+		try {
+			worker.emit('message', { type: MESSAGE_TYPE, snapshot: { version: 99 } });
+		} finally {
+			console.warn = warn;
+		}
+		expect(aggregator.getSnapshots()).to.deep.equal({});
+	});
+
+	it('combines worker stats with local stats', function() {
+		let worker = new EventEmitter();
+		worker.threadId = 1;
+		aggregator.addWorker(worker);
+		worker.emit('message', { type: MESSAGE_TYPE, snapshot: snapshotOf('ns', 'foo', 1, 3) });
+		const combined = aggregator.combine(snapshotOf('ns', 'foo', 5));
+		expect(combined.namespaces.ns.foo).to.include({ count: 3, sum: 9, min: 1, max: 5 });
+	});
+});
@@ -0,0 +1,44 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+const StatsReporter = require('../lib/stats-reporter');
+
+describe('StatsReporter', function() {
+	function fakePort() {
+		return { messages: [], postMessage(message) { this.messages.push(message); } };
+	}
+
+	it('sends snapshots on an interval and when stopped', async function() {
+		const port = fakePort();
+		let counter = 0;
+		const snapshot = () => ({ version: 1, counter: ++counter });
+		const reporter = new StatsReporter({ port, interval: 10, snapshot });
+		reporter.start();
+		await new Promise((resolve) => setTimeout(resolve, 35));
+		reporter.stop();
+		const sent = port.messages.length;
+		expect(sent).to.be.at.least(2);
+		expect(port.messages[0]).to.deep.equal(
+			{ type: StatsReporter.MESSAGE_TYPE, snapshot: { version: 1, counter: 1 } }
+		);
+		expect(port.messages[sent - 1].snapshot.counter).to.equal(sent);
+
+		await new Promise((resolve) => setTimeout(resolve, 25));
+		reporter.stop();
+		expect(port.messages).to.have.length(sent);
+	});
+
+	it('reports on demand', function() {
+		const port = fakePort();
+		new StatsReporter({ port, snapshot: () => ({ version: 1 }) }).report();
+		expect(port.messages).to.have.length(1);
+	});
+
+	it('requires a port outside of workers', function() {
+		expect(() => new StatsReporter({ snapshot: () => ({}) }))
+			.to.throw(XError).with.property('code', XError.INVALID_ARGUMENT);
+	});
+});
@@ -0,0 +1,232 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const _ = require('lodash');
+const { expect } = require('chai');
+
+const {
+	initStats,
+	resetStats,
+	recordDuration,
+	recordOutcome,
+	recordItems,
+	recordResources,
+	updateInFlight,
+	mergeStats,
+	combineStats,
+	errorCode
+} = require('../lib/stats');
+
+describe('stats', function() {
+	describe('initStats', function() {
+		it('fills in defaults and percentile getters', function() {
+			const stats = initStats({ count: 3 });
+			expect(stats.count).to.equal(3);
+			expect(stats.sum).to.equal(0);
+			expect(stats.min).to.equal(Infinity);
+			expect(stats.histogram).to.be.an('object');
+			expect(stats.p50).to.be.NaN;
+		});
+	});
+
+	describe('resetStats', function() {
+		it('clears a stats object in place', function() {
+			const stats = initStats({ isHidden: true });
+			recordDuration(stats, 2);
+			stats.tagged = {};
+			expect(resetStats(stats)).to.equal(stats);
+			expect(stats).to.include({ count: 0, sum: 0, min: Infinity, isHidden: true });
+			expect(stats.tagged).to.be.undefined;
+			expect(stats.histogram.count).to.equal(0);
+			expect(stats.windows.query('1m').count).to.equal(0);
+			recordDuration(stats, 4);
+			expect(stats.p50).to.be.closeTo(4, 0.1);
+		});
+	});
+
+	describe('recordDuration', function() {
+		it('updates the aggregates', function() {
+			const stats = initStats({});
+			recordDuration(stats, 2);
+			recordDuration(stats, 4);
+			expect(stats.count).to.equal(2);
+			expect(stats.sum).to.equal(6);
+			expect(stats.sumSq).to.equal(20);
+			expect(stats.avg).to.equal(3);
+			expect(stats.std).to.equal(1);
+			expect(stats.min).to.equal(2);
+			expect(stats.max).to.equal(4);
+			expect(stats.p50).to.be.closeTo(2, 0.05);
+		});
+
+		it('never produces a NaN standard deviation', function() {
+			const stats = initStats({});
+			for (let n = 0; n < 10; n++) recordDuration(stats, 0.1);
+			expect(stats.std).to.be.closeTo(0, 1e-6);
+		});
+	});
+
+	describe('recordDuration with a weight', function() {
+		it('scales the counts and sums and marks the stats as sampled', function() {
+			const stats = initStats({});
+			recordDuration(stats, 2, 10);
+			recordDuration(stats, 4, 10);
+			expect(stats).to.include({ count: 20, sum: 60, sumSq: 200, avg: 3, std: 1, min: 2, max: 4 });
+			expect(stats.sampled).to.be.true;
+			expect(stats.histogram.count).to.equal(20);
+			expect(stats.windows.query('1m').count).to.equal(20);
+			expect(initStats({}).sampled).to.be.undefined;
+		});
+	});
+
+	describe('updateInFlight', function() {
+		it('counts executions in flight and keeps the peak across resets', function() {
+			const stats = initStats({});
+			updateInFlight(stats, 1);
+			updateInFlight(stats, 1);
+			updateInFlight(stats, -1);
+			expect(stats).to.include({ inFlight: 1, peakConcurrency: 2 });
+			resetStats(stats);
+			expect(stats).to.include({ inFlight: 1, peakConcurrency: 1 });
+			updateInFlight(stats, -1);
+			expect(resetStats(stats)).to.include({ inFlight: 0, peakConcurrency: 0 });
+		});
+
+		it('adds up when merged', function() {
+			const a = updateInFlight(updateInFlight(initStats({}), 1), 1);
+			const b = updateInFlight(updateInFlight(updateInFlight(initStats({}), 1), 1), -1);
+			expect(mergeStats(a, b)).to.include({ inFlight: 3, peakConcurrency: 3 });
+			expect(mergeStats(initStats({}), b)).to.include({ inFlight: 1, peakConcurrency: 2 });
+		});
+	});
+
+	describe('recordOutcome', function() {
+		it('keeps success and error stats apart and counts errors by code', function() {
+			const stats = initStats({});
+			for (let [ duration, error ] of [ [ 1, null ], [ 3, null ], [ 10, new XError(XError.NOT_FOUND) ] ]) {
+				recordDuration(stats, duration);
+				recordOutcome(stats, duration, error);
+			}
+			recordDuration(stats, 20, 2);
+			recordOutcome(stats, 20, new RangeError(), 2);
+			expect(stats).to.include({ count: 5, errorCount: 3, errorRate: 0.6 });
+			expect(stats.outcomes.success).to.include({ count: 2, avg: 2 });
+			expect(stats.outcomes.error).to.include({ count: 3, min: 10, max: 20 });
+			expect(stats.errorCodes).to.deep.equal({ 'not_found': 1, RangeError: 2 });
+			expect(resetStats(stats)).to.include({ errorCount: 0, errorRate: 0 });
+			expect(stats.outcomes).to.be.undefined;
+		});
+	});
+
+	describe('errorCode', function() {
+		it('prefers error codes to names', function() {
+			expect(errorCode(new XError(XError.TIMED_OUT))).to.equal('timed_out');
+			expect(errorCode(_.extend(new Error(), { code: 'ENOENT' }))).to.equal('ENOENT');
+			expect(errorCode(new TypeError())).to.equal('TypeError');
+			expect(errorCode('failed')).to.equal('unknown');
+		});
+	});
+
+	describe('recordItems', function() {
+		it('adds counts and computes throughput over the total duration', function() {
+			const stats = initStats({});
+			recordItems(stats, 10, 100);
+			recordDuration(stats, 500);
+			recordItems(stats, 20, 200, 2);
+			recordDuration(stats, 500, 2);
+			expect(stats).to.include({ items: 50, bytes: 500 });
+			expect(stats.itemsPerSecond).to.be.closeTo(33.33, 0.01);
+			expect(stats.bytesPerSecond).to.be.closeTo(333.3, 0.1);
+			expect(initStats({}).items).to.be.undefined;
+			expect(resetStats(stats).items).to.be.undefined;
+		});
+	});
+
+	describe('recordResources', function() {
+		it('adds up resource usage and computes averages', function() {
+			const stats = recordDuration(initStats({}), 10);
+			recordResources(stats, { cpuUser: 4, cpuSystem: 1, heapDelta: 1000, loopDelay: 2, loopDelaySamples: 3 });
+			recordResources(stats, { cpuUser: 2, cpuSystem: 2, heapDelta: -500, loopDelaySamples: 0 }, 2);
+			expect(stats.resources).to.include({
+				count: 3,
+				cpuUser: 8,
+				cpuSystem: 5,
+				heapDelta: 0,
+				loopDelay: 6,
+				loopDelaySamples: 3,
+				avgHeapDelta: 0,
+				avgLoopDelay: 2
+			});
+			expect(stats.resources.avgCpuUser).to.be.closeTo(2.667, 0.001);
+			expect(initStats({}).resources).to.be.undefined;
+			expect(resetStats(stats).resources).to.be.undefined;
+		});
+
+		it('adds up when merged', function() {
+			const a = recordDuration(initStats({}), 1);
+			const b = recordResources(recordDuration(initStats({}), 1), { cpuUser: 4, cpuSystem: 0, heapDelta: 8 });
+			mergeStats(a, JSON.parse(JSON.stringify(b)));
+			mergeStats(a, b);
+			expect(a.resources).to.include({ count: 2, cpuUser: 8, avgCpuUser: 4, avgHeapDelta: 8 });
+			expect(a.resources.avgLoopDelay).to.be.null;
+		});
+	});
+
+	describe('mergeStats', function() {
+		it('adds one stats object to another', function() {
+			const a = initStats({});
+			const b = initStats({});
+			recordDuration(a, 2);
+			recordDuration(b, 4);
+			b.warningCount = 1;
+			mergeStats(a, b);
+			expect(a.count).to.equal(2);
+			expect(a.avg).to.equal(3);
+			expect(a.min).to.equal(2);
+			expect(a.max).to.equal(4);
+			expect(a.warningCount).to.equal(1);
+			expect(a.histogram.count).to.equal(2);
+		});
+
+		it('merges JSON stats', function() {
+			const a = initStats({});
+			const b = initStats({});
+			recordDuration(b, 4);
+			mergeStats(a, JSON.parse(JSON.stringify(b)));
+			expect(a.count).to.equal(1);
+			expect(a.max).to.equal(4);
+			expect(a.p99).to.equal(4);
+		});
+
+		it('adds outcomes', function() {
+			const a = recordOutcome(recordDuration(initStats({}), 1), 1, null);
+			const b = recordOutcome(recordDuration(initStats({}), 5), 5, new TypeError());
+			mergeStats(a, JSON.parse(JSON.stringify(b)));
+			expect(a).to.include({ count: 2, errorCount: 1, errorRate: 0.5 });
+			expect(a.errorCodes).to.deep.equal({ TypeError: 1 });
+			expect(a.outcomes.error).to.include({ count: 1, max: 5 });
+			expect(a.outcomes.success).to.include({ count: 1, max: 1 });
+		});
+
+		it('adds item counts', function() {
+			const a = recordDuration(initStats({}), 1000);
+			const b = recordItems(recordDuration(initStats({}), 1000), 4, 8);
+			mergeStats(a, b);
+			expect(a).to.include({ items: 4, bytes: 8, itemsPerSecond: 2, bytesPerSecond: 4 });
+		});
+	});
+
+	describe('combineStats', function() {
+		it('combines stats into a new object', function() {
+			const a = recordDuration(initStats({}), 1);
+			const b = recordDuration(initStats({}), 3);
+			const combined = combineStats([ a, b ]);
+			expect(combined).not.to.equal(a);
+			expect(combined.count).to.equal(2);
+			expect(combined.avg).to.equal(2);
+			expect(a.count).to.equal(1);
+		});
+	});
+});
@@ -0,0 +1,125 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const XError = require('xerror');
+const { expect } = require('chai');
+const Profiler = require('../lib');
+const StatsdSink = require('../lib/statsd-sink');
+
+describe('StatsdSink', function() {
+	let listener, packets, sink;
+
+	beforeEach(function(done) {
+		packets = [];
+		listener = dgram.createSocket('udp4');
+		listener.on('message', (message) => packets.push(message.toString()));
+		listener.bind(0, '127.0.0.1', done);
+	});
+
+	afterEach(async function() {
+		if (sink) await sink.stop();
+		sink = null;
+		await new Promise((resolve) => listener.close(resolve));
+	});
+
+	const received = (count) => new Promise((resolve) => {
+		const check = () => {
+			if (packets.length >= count) resolve(packets);
+			else setTimeout(check, 5);
+		};
+		check();
+	});
+
+	const startSink = (options) => {
+		const emitter = new EventEmitter();
+		sink = new StatsdSink(Object.assign({ emitter, port: listener.address().port }, options)).start();
+		return emitter;
+	};
+
+	it('sends batched timings and warning counters', async function() {
+		const emitter = startSink();
+		emitter.emit('end', 'ns', { name: 'foo bar', duration: 1.23456 });
+		emitter.emit('end', 'ns', { name: 'baz', duration: 7 });
+		emitter.emit('warning', 'ns', new XError(XError.LIMIT_EXCEEDED, 'slow'));
+		await sink.flush();
+
+		await received(1);
+		expect(packets).to.deep.equal([ 'simprof.ns.foo_bar:1.235|ms\nsimprof.ns.baz:7|ms\nsimprof.ns.warnings:1|c' ]);
+	});
+
+	it('sends DogStatsD tags', async function() {
+		const emitter = startSink({ prefix: 'app.', dogstatsd: true, tags: { env: 'test' } });
+		emitter.emit('end', 'ns', { name: 'foo', duration: 2 });
+		emitter.emit('warning', 'ns', new XError(XError.LIMIT_EXCEEDED, 'slow'));
+		await sink.flush();
+
+		await received(1);
+		expect(packets[0].split('\n')).to.deep.equal([
+			'app.block.duration:2|ms|#namespace:ns,block:foo,env:test',
+			'app.block.warnings:1|c|#namespace:ns,env:test'
+		]);
+	});
+
+	it('tags DogStatsD warnings with the block', async function() {
+		const emitter = startSink({ dogstatsd: true });
+		emitter.emit('warning', 'ns', new XError(XError.LIMIT_EXCEEDED, 'slow', { block: 'foo' }));
+		await sink.flush();
+
+		await received(1);
+		expect(packets).to.deep.equal([ 'simprof.block.warnings:1|c|#namespace:ns,block:foo' ]);
+	});
+
+	it('applies the sample rate', async function() {
+		const emitter = startSink({ sampleRate: 0.5 });
+		for (let n = 0; n < 200; n++) emitter.emit('end', 'ns', { name: 'foo', duration: 1 });
+		await sink.flush();
+
+		await received(1);
+		const lines = packets.join('\n').split('\n');
+		expect(lines.length).to.be.within(40, 160);
+		expect(lines[0]).to.equal('simprof.ns.foo:1|ms|@0.5');
+	});
+
+	it('scales the sample rate by the rate at which blocks were sampled', async function() {
+		const emitter = startSink();
+		emitter.emit('end', 'ns', { name: 'foo', duration: 1, sampleRate: 0.1 });
+		emitter.emit('end', 'ns', { name: 'bar', duration: 1, sampleRate: 1 });
+		await sink.flush();
+
+		await received(1);
+		expect(packets).to.deep.equal([ 'simprof.ns.foo:1|ms|@0.1\nsimprof.ns.bar:1|ms' ]);
+	});
+
+	it('splits packets at the maximum size', async function() {
+		const emitter = startSink({ maxPacketSize: 40 });
+		for (let n = 0; n < 5; n++) emitter.emit('end', 'ns', { name: 'foo', duration: 10 });
+		await sink.flush();
+
+		await received(3);
+		for (let packet of packets) expect(Buffer.byteLength(packet)).to.be.at.most(40);
+		expect(packets.join('\n').split('\n')).to.have.length(5);
+	});
+
+	it('flushes on an interval', async function() {
+		const emitter = startSink({ flushInterval: 10 });
+		emitter.emit('end', 'ns', { name: 'foo', duration: 1 });
+		await received(1);
+		expect(packets).to.deep.equal([ 'simprof.ns.foo:1|ms' ]);
+	});
+
+	it('subscribes to the global profiler emitter', async function() {
+		sink = Profiler.startStatsdSink({ port: listener.address().port });
+		Profiler.enable();
+		new Profiler('statsd').begin('foo').end();
+		Profiler.disable();
+		await sink.stop();
+		sink = null;
+
+		await received(1);
+		expect(packets[0]).to.match(/^simprof\.statsd\.foo:[\d.]+\|ms$/);
+		expect(Profiler.emitter.listenerCount('end')).to.equal(0);
+	});
+});
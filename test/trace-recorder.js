@@ -0,0 +1,112 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { expect } = require('chai');
+const XError = require('xerror');
+const Profiler = require('../lib');
+
+describe('TraceRecorder', function() {
+	beforeEach(function() {
+		Profiler.enable();
+	});
+
+	afterEach(function() {
+		if (Profiler.traceRecorder) Profiler.stopTrace();
+		Profiler.disable();
+	});
+
+	it('records blocks as nestable async trace events', function() {
+		const profiler = new Profiler('trace');
+		Profiler.startTrace();
+		Profiler.asyncStorage.run(null, () => {
+			profiler.run('outer', () => profiler.run('inner', () => {}));
+		});
+		const trace = Profiler.stopTrace();
+
+		expect(trace.displayTimeUnit).to.equal('ms');
+		const events = _.filter(trace.traceEvents, (event) => event.ph !== 'M');
+		expect(_.map(events, (event) => `${event.ph} ${event.name}`))
+			.to.deep.equal([ 'b outer', 'b inner', 'e inner', 'e outer' ]);
+
+		const [ outerBegin, innerBegin, innerEnd, outerEnd ] = events;
+		expect(outerBegin.cat).to.equal('trace');
+		expect(outerBegin.id).to.equal(outerBegin.args.id);
+		expect(innerBegin.id).to.not.equal(outerBegin.id);
+		expect(innerEnd.id).to.equal(innerBegin.id);
+		expect(outerEnd.id).to.equal(outerBegin.id);
+		expect(innerBegin.args.parent).to.equal(outerBegin.args.id);
+		expect(outerBegin.args.parent).to.equal(null);
+		expect(innerEnd.ts).to.be.at.least(innerBegin.ts);
+		expect(outerEnd.ts).to.be.at.least(innerEnd.ts);
+		expect(outerEnd.args.duration).to.be.closeTo((outerEnd.ts - outerBegin.ts) / 1000, 1e-6);
+	});
+
+	it('pairs the begins and ends of overlapping siblings', async function() {
+		const profiler = new Profiler('trace-siblings');
+		const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+		Profiler.startTrace();
+		await Profiler.asyncStorage.run(null, () => profiler.run('root', () => Promise.all([
+			profiler.run('slow', () => sleep(20)),
+			profiler.run('fast', () => sleep(1))
+		])));
+		const trace = Profiler.stopTrace();
+
+		const events = _.filter(trace.traceEvents, (event) => event.ph !== 'M');
+		expect(_.map(events, (event) => `${event.ph} ${event.name}`))
+			.to.deep.equal([ 'b root', 'b slow', 'b fast', 'e fast', 'e slow', 'e root' ]);
+		const byId = _.groupBy(events, 'id');
+		expect(_.keys(byId)).to.have.length(3);
+		for (let [ begin, end ] of _.values(byId)) {
+			expect(begin.ph).to.equal('b');
+			expect(end.ph).to.equal('e');
+			expect(end.name).to.equal(begin.name);
+			expect(end.args.duration).to.be.closeTo((end.ts - begin.ts) / 1000, 1e-6);
+		}
+		const rootId = events[0].id;
+		expect(_.map(_.filter(events, { ph: 'b' }), 'args.parent')).to.deep.equal([ null, rootId, rootId ]);
+	});
+
+	it('keeps a bounded number of records', function() {
+		const profiler = new Profiler('trace-bounded');
+		Profiler.startTrace({ maxEvents: 4 });
+		for (let n = 0; n < 10; n++) profiler.run(`block ${n}`, () => {});
+		const trace = Profiler.stopTrace();
+
+		const events = _.filter(trace.traceEvents, (event) => event.ph !== 'M');
+		expect(_.map(events, 'name')).to.deep.equal([ 'block 8', 'block 8', 'block 9', 'block 9' ]);
+		expect(trace.otherData.droppedRecords).to.equal(16);
+	});
+
+	it('omits ends whose begin was dropped', function() {
+		const profiler = new Profiler('trace-orphans');
+		const block = profiler.begin('long');
+		Profiler.startTrace();
+		block.end();
+		const trace = Profiler.stopTrace();
+		expect(_.filter(trace.traceEvents, (event) => event.ph !== 'M')).to.deep.equal([]);
+	});
+
+	it('stops recording when stopped', function() {
+		const profiler = new Profiler('trace-stopped');
+		Profiler.startTrace();
+		Profiler.stopTrace();
+		expect(Profiler.emitter.listenerCount('begin')).to.equal(0);
+		profiler.run('foo', () => {});
+		expect(() => Profiler.stopTrace()).to.throw(XError);
+	});
+
+	it('writes the trace to a file', function() {
+		const file = path.join(os.tmpdir(), `simprof-trace-${process.pid}.json`);
+		const profiler = new Profiler('trace-file');
+		Profiler.startTrace();
+		profiler.run('foo', () => {});
+		const trace = Profiler.stopTrace({ path: file });
+		expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(trace);
+		fs.unlinkSync(file);
+	});
+});
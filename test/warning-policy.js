@@ -0,0 +1,78 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const { expect } = require('chai');
+const WarningPolicy = require('../lib/warning-policy');
+const { initStats, recordDuration } = require('../lib/stats');
+
+describe('WarningPolicy', function() {
+	let stats;
+
+	beforeEach(function() {
+		stats = initStats({});
+		for (let n = 1; n <= 100; n++) recordDuration(stats, n);
+	});
+
+	// Record a duration and check it the way ProfilerBlock#end does
+	function check(policy, duration, warnThreshold) {
+		recordDuration(stats, duration);
+		return policy.check({ namespace: 'ns', name: 'foo', stats, duration, warnThreshold });
+	}
+
+	it('defaults to twice the average plus a standard deviation after 100 executions', function() {
+		const policy = new WarningPolicy();
+		const threshold = policy.getThreshold(stats);
+		expect(threshold).to.be.closeTo(2 * stats.avg + stats.std, 1e-9);
+		expect(check(policy, 100)).to.equal(null);
+		expect(check(policy, 200)).to.be.an.instanceof(XError);
+
+		stats = initStats({});
+		expect(check(policy, 1000)).to.equal(null);
+	});
+
+	it('respects the minimum count', function() {
+		expect(check(new WarningPolicy({ minCount: 200, threshold: 10 }), 50)).to.equal(null);
+		expect(check(new WarningPolicy({ minCount: 0, threshold: 10 }), 50)).to.not.equal(null);
+	});
+
+	it('supports absolute, percentile and sigma thresholds', function() {
+		expect(new WarningPolicy({ threshold: 42 }).getThreshold(stats)).to.equal(42);
+		expect(new WarningPolicy({ percentile: 90 }).getThreshold(stats)).to.be.closeTo(90, 2);
+		expect(new WarningPolicy({ sigma: 3 }).getThreshold(stats)).to.be.closeTo(stats.avg + 3 * stats.std, 1e-9);
+		expect(() => new WarningPolicy({ threshold: 1, sigma: 1 })).to.throw(XError);
+	});
+
+	it('prefers the threshold of the block', function() {
+		const policy = new WarningPolicy({ threshold: 10 });
+		expect(check(policy, 50, 60)).to.equal(null);
+		expect(check(policy, 70, 60).data.threshold).to.equal(60);
+	});
+
+	it('carries structured data', function() {
+		const warning = check(new WarningPolicy({ threshold: 10 }), 50);
+		expect(warning.code).to.equal(XError.LIMIT_EXCEEDED);
+		expect(warning.message).to.equal('Block foo took longer than the acceptable threshold.');
+		expect(warning.data).to.include({ namespace: 'ns', block: 'foo', duration: 50, threshold: 10, suppressed: 0 });
+		expect(warning.data.stats).to.include({ count: 101, max: 100 });
+		expect(warning.data.stats.p99).to.be.a('number');
+		expect(warning.data.stats).to.not.have.property('histogram');
+	});
+
+	it('rate limits warnings per block and counts suppressed warnings', async function() {
+		const policy = new WarningPolicy({ threshold: 10, interval: 30 });
+		expect(check(policy, 50)).to.not.equal(null);
+		expect(check(policy, 50)).to.equal(null);
+		expect(check(policy, 50)).to.equal(null);
+
+		const otherStats = stats;
+		stats = initStats({ count: 100 });
+		expect(check(policy, 50)).to.not.equal(null);
+		stats = otherStats;
+
+		await new Promise((resolve) => setTimeout(resolve, 40));
+		expect(check(policy, 50).data.suppressed).to.equal(2);
+		expect(check(policy, 50)).to.equal(null);
+	});
+});